@@ -1,10 +1,115 @@
-const { spawn } = require('child_process');
-const { StdioDeltaChat } = require('@deltachat/jsonrpc-client');
 const fs = require('fs');
 const path = require('path');
+const { DeltaChatRpcHost, callWithTimeout } = require('./rpc-host');
+const { Outbox } = require('./outbox');
+const { AccessPolicy } = require('./policy');
+const { ReplyStream } = require('./reply-stream');
+const { resolveLogger, childLogger } = require('./logger');
+const { Metrics } = require('./metrics');
+
+// Delta Chat viewType -> OpenClaw attachment type
+const VIEWTYPE_TO_ATTACHMENT = {
+  Image: 'image',
+  Gif: 'image',
+  Sticker: 'sticker',
+  Audio: 'audio',
+  Voice: 'voice',
+  Video: 'video',
+  File: 'file',
+  Webxdc: 'file',
+  Vcard: 'contact'
+};
+
+// DC_CONNECTIVITY_CONNECTED: IMAP connected and idle
+const CONNECTIVITY_CONNECTED = 4000;
+
+// DC_CONTACT_ID_SELF
+const CONTACT_ID_SELF = 1;
+
+// config.markSeen: when delivered messages are marked seen (read receipt
+// sent if enabled) - when handed to the agent, once it answered the chat, never
+const MARK_SEEN_MODES = ['receipt', 'reply', 'never'];
+
+// DC_STATE_IN_FRESH / DC_STATE_IN_NOTICED: incoming, not seen yet
+const MSG_STATE_IN_FRESH = 10;
+const MSG_STATE_IN_NOTICED = 13;
+
+// DeltaChat chatType -> OpenClaw chat type
+function chatKind(chatType) {
+  if (chatType === 'Group' || chatType === 'Mailinglist') return 'group';
+  if (chatType === 'OutBroadcast' || chatType === 'InBroadcast' || chatType === 'Broadcast') return 'broadcast';
+  return 'direct';
+}
+
+// OPENPGP4FPR:<fp>#a=..&n=.. -> https://i.delta.chat/#<fp>&a=..&n=..
+function inviteUrl(qr) {
+  const text = String(qr || '');
+  if (/^https:\/\/i\.delta\.chat\//i.test(text)) return text;
+  const m = /^OPENPGP4FPR:([^#]*)#?(.*)$/i.exec(text);
+  if (!m) return null;
+  return `https://i.delta.chat/#${m[1]}${m[2] ? '&' + m[2] : ''}`;
+}
+
+function connectivityState(level) {
+  if (typeof level !== 'number') return 'unknown';
+  if (level >= 4000) return 'connected';
+  if (level >= 3000) return 'working';
+  if (level >= 2000) return 'connecting';
+  return 'not_connected';
+}
+
+// getMessages / searchMessages page size: default and upper bound
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_PAGE_MAX = 500;
+
+function pageLimit(limit) {
+  const n = parseInt(limit, 10);
+  if (!Number.isFinite(n) || n <= 0) return HISTORY_PAGE_SIZE;
+  return Math.min(n, HISTORY_PAGE_MAX);
+}
+
+// code lets the shim report NOT_READY instead of a generic channel error
+function notConnectedError() {
+  const err = new Error('DeltaChat channel not connected');
+  err.code = 'NOT_CONNECTED';
+  return err;
+}
+
+// Send errors a retry cannot fix: the core cannot load the chat, it is a
+// special chat, or the request itself is malformed (JSON-RPC -32600..-32700)
+const PERMANENT_SEND_ERRORS = [/Query returned no rows/, /cannot be a special chat/, /does not exist/];
+
+function isPermanentSendError(err) {
+  if (!err) return false;
+  if (err.permanent) return true;
+  if (typeof err.code === 'number' && err.code <= -32600 && err.code >= -32700) return true;
+  return PERMANENT_SEND_ERRORS.some(re => re.test(String(err.message || '')));
+}
+
+// Fallback MIME types for outgoing files given without one
+const EXTENSION_TO_MIME = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.json': 'application/json',
+  '.zip': 'application/zip'
+};
 
 /**
  * DeltaChatChannel - OpenClaw Channel Adapter
+ * One instance per OpenClaw account (config.accountKey); instances with the
+ * same accountsPath share one RPC server through DeltaChatRpcHost.
  * Defensive improvements added:
  * - guard all RPC calls with try/catch
  * - handle rpcProcess 'error'/'exit'/'close' events and avoid throwing to host
@@ -16,19 +121,65 @@ class DeltaChatChannel {
     this.config = {
       email: config.email,
       password: config.password,
-      server: config.server || 'cm.dc09.xyz',
+      // no server: DeltaChat autoconfigures from the email domain
+      server: config.server || null,
       accountsPath: config.accountsPath || path.join(process.env.HOME || '/root', '.openclaw', 'deltachat-accounts'),
       rpcServerPath: config.rpcServerPath || path.join(process.env.HOME || '/root', '.openclaw', 'workspace', 'deltachat-rpc-server'),
+      accountKey: config.accountKey || 'default',
       ...config
     };
     
     this.context = context;
-    this.rpcProcess = null;
+    // context.logger (shared with the runner) or one built from config.logging
+    this._baseLog = resolveLogger(context && context.logger, this.config.logging);
+    this.log = childLogger(this._baseLog, { account: this.config.accountKey });
+    // context.metrics is the runner's registry behind /metrics
+    this.metrics = (context && context.metrics) || new Metrics();
+    this.host = null;
     this.client = null;
     this.accountId = null;
     this.connected = false;
     this.messageCallback = null;
+    this.deliveryCallback = null;
+    this.eventCallback = null;
+    this.outbox = null;
+    this.policy = new AccessPolicy(this.config.policy);
+    this.connectivity = null;
+    this.lastEventAt = null;
+    // init() phase durations in ms, for boot diagnostics
+    this.bootTimings = null;
+    // msgId -> last edited text reported, MsgsChanged fires repeatedly
+    this._editedTexts = new Map();
+    // streamId -> { stream, timer } for replies in progress
+    this._streams = new Map();
+    this._imapIdle = false;
+    this._connectivityWaiter = null;
     this._stopping = false;
+    // chatId -> { msgId, timestamp } of the last incoming message handled,
+    // persisted so catch-up knows what was missed while we were down
+    this._marks = null;
+    // live IncomingMsg events held back from startIo until catch-up has
+    // replayed the older ones
+    this._catchUpQueue = null;
+    this._catchingUp = false;
+    // marks are only written once a catch-up has set the baseline
+    this._catchUpDone = false;
+    // chatId -> msgIds delivered but not marked seen yet (markSeen: 'reply')
+    this._unanswered = new Map();
+  }
+
+  /**
+   * OpenClaw account id this channel serves
+   */
+  get accountKey() {
+    return this.config.accountKey;
+  }
+
+  /**
+   * RPC server process (owned by the shared host)
+   */
+  get rpcProcess() {
+    return this.host ? this.host.rpcProcess : null;
   }
 
   /**
@@ -37,105 +188,141 @@ class DeltaChatChannel {
   async init() {
     if (this._stopping) return;
 
+    const bootStart = Date.now();
     try {
-      // Ensure accounts directory exists with valid config
-      this._initAccountsConfig();
-
-      // Spawn RPC server
-      const env = {
-        ...process.env,
-        DC_ACCOUNTS_PATH: this.config.accountsPath
-      };
+      if (!this.host) this.host = DeltaChatRpcHost.acquire(this.config, this._baseLog);
 
+      // Spawn RPC server (shared) and wait until it answers
       try {
-        this.rpcProcess = spawn(this.config.rpcServerPath, [], {
-          env,
-          stdio: ['pipe', 'pipe', 'pipe']
-        });
+        await this.host.start();
       } catch (err) {
-        console.error('DeltaChat: failed to spawn rpc server:', err && err.stack ? err.stack : err);
-        this.rpcProcess = null;
+        this.log.error('DeltaChat: failed to start rpc server', { err });
+        try { await this.stop(); } catch (_) {}
         return;
       }
 
-      this.rpcProcess.on('error', (err) => {
-        try { console.error('DeltaChat RPC error event:', err && err.stack ? err.stack : err); } catch (_) {}
-      });
-
-      this.rpcProcess.on('exit', (code, signal) => {
-        try { console.warn(`DeltaChat RPC exited code=${code} signal=${signal}`); } catch (_) {}
-        this.connected = false;
-      });
-
-      this.rpcProcess.on('close', (code, signal) => {
-        try { console.warn(`DeltaChat RPC closed code=${code} signal=${signal}`); } catch (_) {}
-        this.connected = false;
-      });
-
-      this.rpcProcess.stderr.on('data', (data) => {
-        try {
-          const line = data.toString().trim();
-          if (line.length === 0) return;
-          // Always log stderr at debug level; highlight important lines
-          if (line.includes('ERROR') || line.includes('configure')) {
-            console.error('DeltaChat RPC:', line);
-          } else {
-            console.debug('DeltaChat RPC(stderr):', line);
-          }
-        } catch (_) {}
-      });
-
-      // Wait briefly for server initialization
-      await this._sleep(1500);
-
-      // Create client (guarded)
-      try {
-        this.client = new StdioDeltaChat(this.rpcProcess.stdin, this.rpcProcess.stdout);
-      } catch (err) {
-        console.error('DeltaChat: failed to create RPC client:', err && err.stack ? err.stack : err);
-        this.client = null;
-        // Do not throw — leave the channel unconnected
-        return;
-      }
+      this.client = this.host.client;
+      const rpcReadyAt = Date.now();
 
       // Setup account (guarded)
       try {
         await this._setupAccount();
       } catch (err) {
-        console.error('DeltaChat: _setupAccount failed:', err && err.stack ? err.stack : err);
-        // Stop RPC process to avoid leaking processes
-        try { this.stop(); } catch (_) {}
+        this.log.error('DeltaChat: _setupAccount failed', { err });
+        // Release RPC process to avoid leaking processes
+        try { await this.stop(); } catch (_) {}
         return;
       }
 
-      // Start event processing
       this.connected = true;
-      this._startEventProcessing();
-      try { console.log(`DeltaChat channel ready: ${this.config.email}`); } catch (_) {}
+      this.bootTimings = {
+        rpcReadyMs: rpcReadyAt - bootStart,
+        accountReadyMs: Date.now() - rpcReadyAt,
+        totalMs: Date.now() - bootStart,
+        connectivity: this.connectivity
+      };
+      this.log.info(`DeltaChat channel ready: ${this.config.email}`, { bootTimings: this.bootTimings });
+
+      // send whatever was queued while we were down
+      const outbox = this._ensureOutbox();
+      if (outbox) outbox.flush().catch(() => {});
+
+      // and hand over what arrived meanwhile
+      this._catchUp().catch(() => {});
     } catch (e) {
-      try { console.error('DeltaChat init unexpected error:', e && e.stack ? e.stack : e); } catch (_) {}
+      this.log.error('DeltaChat init unexpected error', { err: e });
       // ensure resources cleaned
       try { await this.stop(); } catch (_) {}
     }
   }
 
   /**
-   * Initialize accounts.toml if needed
+   * Called by the host when the RPC server goes away
+   */
+  _onRpcDown(reason) {
+    this.connected = false;
+    this.client = null;
+    this.log.warn('DeltaChat: rpc server down', { reason });
+  }
+
+  /**
+   * Called by the host after it respawned the RPC server: reuse the
+   * existing account (no reconfigure) and restart its IO
+   */
+  async _onRpcRestarted() {
+    if (this._stopping || this.accountId == null || !this.host) return;
+    this.client = this.host.client;
+
+    const info = await this._safeRpcCall('getAccountInfo', () => this.client.rpc.getAccountInfo(this.accountId));
+    if (!info) throw new Error('no account info');
+    if (info.kind !== 'Configured') {
+      this.log.warn('DeltaChat: account not configured after restart');
+    }
+
+    this._holdIncoming();
+    await this._safeRpcCall('startIo', () => this.client.rpc.startIo(this.accountId));
+    this.connected = true;
+    this.log.info('DeltaChat: resumed after rpc restart');
+    if (this.outbox) this.outbox.flush().catch(() => {});
+    // events queued in the old process are gone
+    this._catchUp().catch(() => {});
+  }
+
+  /**
+   * RPC supervisor state: restarts so far and why the server last exited
+   */
+  getRpcRestartInfo() {
+    return {
+      restartCount: this.host ? this.host.restartCount : 0,
+      lastExit: this.host ? this.host.lastExit : null
+    };
+  }
+
+  /**
+   * Path of the OpenClaw account id -> DeltaChat account id map
    */
-  _initAccountsConfig() {
+  _accountMapPath() {
+    return path.join(this.config.accountsPath, 'openclaw-accounts.json');
+  }
+
+  _readAccountMap() {
     try {
-      if (!fs.existsSync(this.config.accountsPath)) {
-        fs.mkdirSync(this.config.accountsPath, { recursive: true });
-      }
+      return JSON.parse(fs.readFileSync(this._accountMapPath(), 'utf8')) || {};
+    } catch (e) {
+      return {};
+    }
+  }
 
-      const accountsToml = path.join(this.config.accountsPath, 'accounts.toml');
-      if (!fs.existsSync(accountsToml)) {
-        const toml = `next_id = 1\nselected_account = 4294967295\naccounts = []\n`;
-        fs.writeFileSync(accountsToml, toml);
-      }
+  _writeAccountMap(map) {
+    try {
+      fs.writeFileSync(this._accountMapPath(), JSON.stringify(map, null, 2));
     } catch (e) {
-      try { console.error('DeltaChat _initAccountsConfig failed:', e && e.stack ? e.stack : e); } catch (_) {}
+      this.log.error('DeltaChat _writeAccountMap failed', { err: e });
+    }
+  }
+
+  /**
+   * Find the DeltaChat account belonging to this OpenClaw account:
+   * remembered id first, then matching address, then (for the default
+   * account only) a lone account left by single-account setups
+   */
+  _findExistingAccount(accounts) {
+    const map = this._readAccountMap();
+    const mapped = map[this.accountKey];
+    if (mapped != null) {
+      const byId = accounts.find(a => a.id === mapped);
+      if (byId) return byId;
+    }
+
+    const claimed = new Set(Object.keys(map).filter(k => k !== this.accountKey).map(k => map[k]));
+    const byAddr = accounts.find(a => a.kind === 'Configured' && a.addr && this.config.email &&
+      a.addr.toLowerCase() === String(this.config.email).toLowerCase() && !claimed.has(a.id));
+    if (byAddr) return byAddr;
+
+    if (this.accountKey === 'default' && accounts.length === 1 && !claimed.has(accounts[0].id)) {
+      return accounts[0];
     }
+    return null;
   }
 
   /**
@@ -148,19 +335,15 @@ class DeltaChatChannel {
       const accounts = await this._safeRpcCall('getAllAccounts', () => this.client.rpc.getAllAccounts());
       if (!Array.isArray(accounts)) throw new Error('invalid accounts list');
 
-      if (accounts.length === 0) {
+      const existing = this._findExistingAccount(accounts);
+
+      if (!existing) {
         // Create new account
         this.accountId = await this._safeRpcCall('addAccount', () => this.client.rpc.addAccount());
-        console.log('DeltaChat: Created account', this.accountId);
+        this.log.info('DeltaChat: Created account', { dcAccountId: this.accountId });
+        this._bindAccount();
         // Configure
-        await this._safeRpcCall('batchSetConfig', () => this.client.rpc.batchSetConfig(this.accountId, {
-          addr: this.config.email,
-          mail_pw: this.config.password,
-          ...(this.config.server && {
-            mail_server: this.config.server,
-            send_server: this.config.server
-          })
-        }));
+        await this._safeRpcCall('batchSetConfig', () => this.client.rpc.batchSetConfig(this.accountId, this._loginConfig()));
 
         await this._safeRpcCall('configure', () => this.client.rpc.configure(this.accountId));
 
@@ -168,31 +351,175 @@ class DeltaChatChannel {
         await this._waitForConfiguration();
       } else {
         // Use existing account
-        this.accountId = accounts[0].id;
+        this.accountId = existing.id;
+        this._bindAccount();
         const info = await this._safeRpcCall('getAccountInfo', () => this.client.rpc.getAccountInfo(this.accountId));
         if (!info) throw new Error('no account info');
 
         if (info.kind !== 'Configured') {
-          console.log('DeltaChat: Reconfiguring account', this.accountId);
-          await this._safeRpcCall('batchSetConfig', () => this.client.rpc.batchSetConfig(this.accountId, {
-            addr: this.config.email,
-            mail_pw: this.config.password
-          }));
+          this.log.info('DeltaChat: Reconfiguring account', { dcAccountId: this.accountId });
+          await this._safeRpcCall('batchSetConfig', () => this.client.rpc.batchSetConfig(this.accountId, this._loginConfig()));
           await this._safeRpcCall('configure', () => this.client.rpc.configure(this.accountId));
           await this._waitForConfiguration();
         } else {
-          console.log('DeltaChat: Using configured account', info.addr);
+          this.log.info('DeltaChat: Using configured account', { addr: info.addr });
         }
       }
 
-      // Start IO
-      await this._safeRpcCall('startIoForAllAccounts', () => this.client.rpc.startIoForAllAccounts());
-      await this._sleep(1000);
+      if (typeof this.config.readReceipts === 'boolean') {
+        await this._safeRpcCall('setConfig', () => this.client.rpc.setConfig(this.accountId, 'mdns_enabled', this.config.readReceipts ? '1' : '0'));
+      }
+
+      // Start IO for this account only; other accounts belong to other channels
+      this._holdIncoming();
+      await this._safeRpcCall('startIo', () => this.client.rpc.startIo(this.accountId));
+      await this._waitForConnectivity();
     } catch (e) {
       throw e;
     }
   }
 
+  /**
+   * Core settings for configure(): credentials, optional server, plus
+   * config.coreConfig passed through as is (e.g. mail_port, mail_security
+   * for a local test server); values are strings as the core expects
+   */
+  _loginConfig(settings = {}) {
+    const email = settings.email || this.config.email;
+    const password = settings.password || this.config.password;
+    const server = settings.server || this.config.server;
+    const extra = {};
+    const core = this.config.coreConfig || {};
+    for (const key of Object.keys(core)) extra[key] = core[key] == null ? null : String(core[key]);
+    return {
+      addr: email,
+      mail_pw: password,
+      ...(server && { mail_server: server, send_server: server }),
+      ...extra
+    };
+  }
+
+  /**
+   * Apply new credentials and configure the account again (CLI `configure`);
+   * settings: { email, password, server }. IO is restarted afterwards.
+   */
+  async reconfigure(settings = {}) {
+    this._requireConnected();
+    const email = settings.email || this.config.email;
+    const password = settings.password || this.config.password;
+    const server = settings.server || this.config.server;
+
+    await this._safeRpcCall('stopIo', () => this.client.rpc.stopIo(this.accountId));
+    try {
+      await this._safeRpcCall('batchSetConfig', () => this.client.rpc.batchSetConfig(this.accountId, this._loginConfig({ email, password, server })));
+      await this._safeRpcCall('configure', () => this.client.rpc.configure(this.accountId), { timeout: 120000 });
+      await this._waitForConfiguration();
+      this.config.email = email;
+      this.config.password = password;
+      this.config.server = server;
+      this.log.info('DeltaChat: account reconfigured', { addr: email });
+    } finally {
+      await this._safeRpcCall('startIo', () => this.client.rpc.startIo(this.accountId)).catch(() => {});
+    }
+    return this.getSelf();
+  }
+
+  /**
+   * This account as stored in accountsPath, looked up without creating,
+   * configuring or connecting anything: { dcAccountId, configured, addr } or null
+   */
+  async getStoredAccount() {
+    return this._withHost(async () => {
+      const accounts = await this._safeRpcCall('getAllAccounts', () => this.client.rpc.getAllAccounts());
+      const existing = this._findExistingAccount(Array.isArray(accounts) ? accounts : []);
+      if (!existing) return null;
+      return { dcAccountId: existing.id, configured: existing.kind === 'Configured', addr: existing.addr || null };
+    });
+  }
+
+  /**
+   * Delete this account from accountsPath and forget its mapping
+   * (CLI `logout`, runner stopped); returns the removed DeltaChat account id or null
+   */
+  async logout() {
+    if (this.connected) throw new Error('stop the channel before logging out');
+    return this._withHost(async () => {
+      const accounts = await this._safeRpcCall('getAllAccounts', () => this.client.rpc.getAllAccounts());
+      const existing = this._findExistingAccount(Array.isArray(accounts) ? accounts : []);
+      const map = this._readAccountMap();
+      if (existing) {
+        await this._safeRpcCall('removeAccount', () => this.client.rpc.removeAccount(existing.id));
+        this.log.info('DeltaChat: account removed', { dcAccountId: existing.id });
+      }
+      if (map[this.accountKey] != null) {
+        delete map[this.accountKey];
+        this._writeAccountMap(map);
+      }
+      return existing ? existing.id : null;
+    });
+  }
+
+  /**
+   * Run fn with the RPC server up but without touching account IO;
+   * reuses the running client when the channel is initialized
+   */
+  async _withHost(fn) {
+    if (this.client) return fn();
+    const host = DeltaChatRpcHost.acquire(this.config, this._baseLog);
+    try {
+      await host.start();
+      this.client = host.client;
+      return await fn();
+    } finally {
+      this.client = null;
+      try { await host.release(); } catch (_) {}
+    }
+  }
+
+  /**
+   * Route host events for this.accountId here and remember the mapping
+   */
+  _bindAccount() {
+    if (this.host) this.host.attach(this.accountId, this);
+    const map = this._readAccountMap();
+    if (map[this.accountKey] === this.accountId) return;
+    map[this.accountKey] = this.accountId;
+    this._writeAccountMap(map);
+  }
+
+  /**
+   * Wait until IMAP is up: connectivity CONNECTED or an ImapInboxIdle event.
+   * Re-checked on every ConnectivityChanged event and at least once a second.
+   * Not fatal on timeout (the outbox covers sends until the network is back),
+   * unless config.requireConnectivity is set.
+   */
+  async _waitForConnectivity(timeout = this.config.connectivityTimeout || 30000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout && !this._stopping) {
+      try {
+        const level = await this._safeRpcCall('getConnectivity', () => this.client.rpc.getConnectivity(this.accountId));
+        this.connectivity = level;
+        if (level >= CONNECTIVITY_CONNECTED || this._imapIdle) return level;
+      } catch (e) {
+        // keep waiting; the RPC call logs the failure
+      }
+      await new Promise((resolve) => {
+        const to = setTimeout(resolve, Math.min(1000, Math.max(0, timeout - (Date.now() - start))));
+        this._connectivityWaiter = () => { clearTimeout(to); resolve(); };
+      });
+      this._connectivityWaiter = null;
+    }
+
+    const reason = `no IMAP connectivity after ${timeout}ms (level ${this.connectivity == null ? 'unknown' : this.connectivity})`;
+    if (this.config.requireConnectivity) throw new Error(reason);
+    this.log.warn(`DeltaChat: ${reason}, continuing`);
+    return this.connectivity;
+  }
+
+  _wakeConnectivityWaiter() {
+    if (this._connectivityWaiter) this._connectivityWaiter();
+  }
+
   /**
    * Wait for account configuration
    */
@@ -213,230 +540,1461 @@ class DeltaChatChannel {
     throw new Error('Account configuration timeout');
   }
 
-  /**
-   * Start processing events
-   */
-  _startEventProcessing() {
-    const processEvents = async () => {
-      console.log('Starting processing events');
-      while (this.connected && !this._stopping) {
-        try {
-          if (!this.client || !this.client.rpc) {
-            await this._sleep(1000);
-            continue;
-          }
-
-          let event = null;
-          try {
-            event = await this._safeRpcCall('getNextEvent', () => this.client.rpc.getNextEvent(), { timeout: 30000 });
-          } catch (e) {
-            // transient error — continue loop
-            console.error('DeltaChat getNextEvent error:', e && e.stack ? e.stack : e);
-            await this._sleep(1000);
-            continue;
-          }
-
-          if (event && event.event && event.event.kind) {
-            try {
-              await this._handleEvent(event.event);
-            } catch (e) {
-              console.error('DeltaChat _handleEvent error:', e && e.stack ? e.stack : e);
-            }
-          }
-        } catch (err) {
-          try { console.error('DeltaChat event loop unexpected error:', err && err.stack ? err.stack : err); } catch (_) {}
-          // Sleep to avoid hot loop on fatal errors
-          await this._sleep(1000);
-        }
-      }
-      // ensure connected state cleared
-      this.connected = false;
-    };
-
-    // run async
-    processEvents().catch(e => {
-      try { console.error('DeltaChat processEvents fatal:', e && e.stack ? e.stack : e); } catch (_) {}
-      this.connected = false;
-    });
-  }
-
   /**
    * Handle DeltaChat events
    */
   async _handleEvent(event) {
+    this.lastEventAt = Date.now();
     try {
       switch (event.kind) {
         case 'IncomingMsg': {
-          if (this.messageCallback) {
-            try {
-              const message = await this._normalizeMessage(this.accountId, event.msgId);
-              if (message) {
-                try { this.messageCallback(message); } catch (e) { console.error('messageCallback error:', e && e.stack ? e.stack : e); }
-              }
-            } catch (err) {
-              console.error('DeltaChat message handling error:', err && err.stack ? err.stack : err);
-            }
+          if (!this.messageCallback) break;
+          if (this._catchUpQueue) {
+            this._catchUpQueue.push(event);
+            break;
           }
+          await this._handleIncomingMsg(event);
           break;
         }
+        case 'MsgDelivered':
+        case 'MsgFailed':
+          this._emitDeliveryStatus(event);
+          break;
+        case 'MsgRead':
+          this._emitDeliveryStatus(event);
+          await this._handleMsgRead(event);
+          break;
+        case 'IncomingReaction':
+          await this._handleIncomingReaction(event);
+          break;
+        case 'MsgsChanged':
+          await this._handleMsgsChanged(event);
+          break;
+        case 'MsgDeleted':
+          this._emitEvent('message_deleted', { chatId: String(event.chatId), msgId: String(event.msgId) });
+          break;
+        case 'SecurejoinInviterProgress':
+        case 'SecurejoinJoinerProgress':
+          await this._handleSecureJoinProgress(event);
+          break;
         case 'ConnectivityChanged':
-          // Optional: emit connectivity status
+          this._wakeConnectivityWaiter();
+          break;
+        case 'ImapInboxIdle':
+          this._imapIdle = true;
+          this._wakeConnectivityWaiter();
           break;
         case 'Info':
-          try { console.log(event.msg); } catch (_) {}
+          this.log.debug(event.msg, { source: 'core' });
+          break;
+        case 'Warning':
+          this.log.warn(event.msg, { source: 'core' });
+          break;
+        case 'Error':
+          this.log.error(event.msg, { source: 'core' });
           break;
         default:
           // Ignore other events
           break;
       }
     } catch (e) {
-      console.error('DeltaChat _handleEvent unexpected error:', e && e.stack ? e.stack : e);
+      this.log.error('DeltaChat _handleEvent unexpected error', { err: e });
     }
   }
 
   /**
-   * Normalize DeltaChat message to OpenClaw format
+   * Live IncomingMsg: normalize and deliver unless catch-up already did
    */
-  async _normalizeMessage(accountId, msgId) {
+  async _handleIncomingMsg(event) {
     try {
-      const msg = await this._safeRpcCall('getMessage', () => this.client.rpc.getMessage(accountId, msgId));
-      if (!msg || msg.isBot) return null;
-
-      const chat = await this._safeRpcCall('getFullChatById', () => this.client.rpc.getFullChatById(accountId, msg.chatId));
-      const chatType = chat.chatType === 'Group' ? 'group' : 'direct';
+      const mark = this._markFor(event.chatId);
+      if (mark && event.msgId <= mark.msgId) return;
+      const message = await this._normalizeMessage(this.accountId, event.msgId);
+      if (!message) return;
+      await this._deliverIncoming({ ...message, backlog: false });
+    } catch (err) {
+      this.log.error('DeltaChat message handling error', { err });
+    }
+  }
 
-      return {
-        id: String(msg.id),
-        text: msg.text || '',
-        from: {
-          id: String(msg.fromId),
-          name: chat.name || String(msg.fromId),
-          username: null
-        },
-        chat: {
-          id: String(msg.chatId),
-          type: chatType,
-          name: chat.name || (chatType === 'direct' ? 'Direct' : 'Group')
-        },
-        timestamp: msg.timestamp * 1000,
-        attachments: [],
-        replyTo: msg.quote ? String(msg.quote.messageId) : null,
-        raw: msg
-      };
-    } catch (e) {
-      console.error('DeltaChat _normalizeMessage failed:', e && e.stack ? e.stack : e);
-      return null;
+  /**
+   * Policy check, callback, then advance the chat's high-water mark
+   * (also for rejected messages, so catch-up does not offer them again)
+   */
+  async _deliverIncoming(message) {
+    const allowed = await this._applyPolicy(message);
+    if (allowed) {
+      this.metrics.inc('deltachat_messages_received_total', { account: this.accountKey });
+      if (message.backlog) this.metrics.inc('deltachat_messages_replayed_total', { account: this.accountKey });
+      try { this.messageCallback(message); } catch (e) { this.log.error('messageCallback error', { err: e }); }
+      await this._afterDelivery(message);
     }
+    this._advanceMark(message.chat.id, parseInt(message.id, 10), message.timestamp);
+    return allowed;
+  }
+
+  _markSeenMode() {
+    return MARK_SEEN_MODES.includes(this.config.markSeen) ? this.config.markSeen : 'receipt';
   }
 
   /**
-   * Send message
+   * Mark a delivered message seen now, or remember it until we answer
    */
-  async send(chatId, text, options = {}) {
-    if (!this.connected || !this.accountId) {
-      throw new Error('DeltaChat channel not connected');
+  async _afterDelivery(message) {
+    const mode = this._markSeenMode();
+    const msgId = parseInt(message.id, 10);
+    if (mode === 'receipt') {
+      await this._markSeenNow([msgId]);
+    } else if (mode === 'reply') {
+      const chatId = parseInt(message.chat.id, 10);
+      if (!this._unanswered.has(chatId)) this._unanswered.set(chatId, new Set());
+      this._unanswered.get(chatId).add(msgId);
     }
+  }
 
+  /**
+   * We sent or reacted into a chat: with markSeen 'reply' its pending
+   * messages count as read now
+   */
+  async _markAnswered(chatId) {
     const chatIdNum = parseInt(chatId, 10);
-    const msgData = { text };
+    const pending = this._unanswered.get(chatIdNum);
+    if (!pending) return;
+    this._unanswered.delete(chatIdNum);
+    await this._markSeenNow(Array.from(pending));
+  }
 
-    if (options.replyTo) {
-      msgData.quotedMsgId = parseInt(options.replyTo, 10);
+  // failures are logged only: a missing read receipt must not fail a send
+  async _markSeenNow(msgIds) {
+    if (msgIds.length === 0 || !this.client || !this.client.rpc) return;
+    try {
+      await this._safeRpcCall('markseenMsgs', () => this.client.rpc.markseenMsgs(this.accountId, msgIds));
+    } catch (e) {
+      this.log.warn('DeltaChat: markseenMsgs failed', { err: e, msgIds });
     }
-
-    const msgId = await this._safeRpcCall('sendMsg', () => this.client.rpc.sendMsg(this.accountId, chatIdNum, msgData));
-    return { id: String(msgId) };
   }
 
   /**
-   * Get chat info
+   * One of our messages was read: message_read event with the readers
+   * when the core can tell (read receipts of group members)
    */
-  async getChat(chatId) {
-    if (!this.connected || !this.accountId) return null;
+  async _handleMsgRead(event) {
+    let readBy = [];
+    try {
+      const receipts = await this._safeRpcCall('getMessageReadReceipts', () => this.client.rpc.getMessageReadReceipts(this.accountId, event.msgId)) || [];
+      const ids = receipts.map(r => r.contactId);
+      const contacts = ids.length > 0 ? await this._safeRpcCall('getContactsByIds', () => this.client.rpc.getContactsByIds(this.accountId, ids)) : {};
+      readBy = receipts.map(r => ({
+        ...this._normalizeContact((contacts && contacts[r.contactId]) || { id: r.contactId }),
+        readAt: r.timestamp * 1000
+      }));
+    } catch (e) {
+      // older cores: no receipts list, the event alone still says "read"
+    }
 
-    const chatIdNum = parseInt(chatId, 10);
-    const chat = await this._safeRpcCall('getFullChatById', () => this.client.rpc.getFullChatById(this.accountId, chatIdNum));
-    if (!chat) return null;
-    
-    return {
-      id: String(chatIdNum),
-      name: chat.name,
-      type: chat.chatType === 'Group' ? 'group' : 'direct'
-    };
+    this._emitEvent('message_read', {
+      chatId: String(event.chatId),
+      msgId: String(event.msgId),
+      idempotencyKey: this.outbox ? this.outbox.keyForMsgId(event.msgId) : null,
+      readBy
+    });
   }
 
   /**
-   * List chats
+   * Replay incoming messages nobody received (runner down, events lost with
+   * an RPC restart): unseen ones past the chat's high-water mark, oldest
+   * first, flagged backlog: true and marked seen as config.markSeen says. Live messages
+   * are held from startIo until the replay is done. Without a mark file (first start) the
+   * marks are set to the current state instead of replaying history.
+   * config.catchUp: false turns it off; { maxMessages, maxAge (ms) } bound it.
    */
-  async listChats() {
-    if (!this.connected || !this.accountId) return [];
+  async _catchUp() {
+    const opts = this.config.catchUp;
+    if (this._catchingUp) return;
+    if (opts === false || !this.messageCallback || !this.connected) {
+      await this._releaseIncoming();
+      return;
+    }
+    const maxMessages = (opts && opts.maxMessages) || 200;
+    const maxAge = (opts && opts.maxAge) || 0;
 
-    const entries = await this._safeRpcCall('getChatlistEntries', () => this.client.rpc.getChatlistEntries(this.accountId, 0, null, null));
-    const chats = [];
+    this._catchingUp = true;
+    this._holdIncoming();
+    try {
+      const marks = this._loadMarks();
+      const entries = await this._safeRpcCall('getChatlistEntries', () => this.client.rpc.getChatlistEntries(this.accountId, 0, null, null)) || [];
+      const items = entries.length === 0 ? {} : await this._safeRpcCall('getChatlistItemsByEntries', () => this.client.rpc.getChatlistItemsByEntries(this.accountId, entries)) || {};
+      const chats = Object.values(items).filter(i => i && i.kind === 'ChatListItem' && i.lastMessageId);
 
-    if (!Array.isArray(entries)) return chats;
+      if (!marks) {
+        for (const item of chats) this._advanceMark(item.id, item.lastMessageId, (item.lastUpdated || 0), false);
+        // live messages held since startIo are not history
+        for (const event of this._catchUpQueue || []) {
+          const mark = this._markFor(event.chatId);
+          if (mark && mark.msgId >= event.msgId) this._marks[String(event.chatId)] = { ...mark, msgId: event.msgId - 1 };
+        }
+        this._catchUpDone = true;
+        this._saveMarks();
+        this.log.info('DeltaChat catch-up: no high-water marks yet, starting from now', { chats: chats.length });
+        return;
+      }
 
-    for (const chatId of entries) {
-      try {
-        const chat = await this._safeRpcCall('getBasicChatInfo', () => this.client.rpc.getBasicChatInfo(this.accountId, chatId));
-        if (chat) chats.push({ id: String(chatId), name: chat.name, type: chat.chatType === 'Group' ? 'group' : 'direct' });
-      } catch (e) {
-        // Skip problematic chats
+      const candidates = [];
+      for (const item of chats) {
+        const mark = this._markFor(item.id);
+        if (!item.freshMessageCounter || (mark && item.lastMessageId <= mark.msgId)) continue;
+        const ids = await this._safeRpcCall('getMessageIds', () => this.client.rpc.getMessageIds(this.accountId, item.id, false, false)) || [];
+        const newer = ids.filter(id => !mark || id > mark.msgId);
+        if (newer.length === 0) continue;
+        const loaded = await this._safeRpcCall('getMessages', () => this.client.rpc.getMessages(this.accountId, newer)) || {};
+        const chat = await this._safeRpcCall('getFullChatById', () => this.client.rpc.getFullChatById(this.accountId, item.id));
+        for (const id of newer) {
+          const msg = loaded[id];
+          if (!msg || msg.kind === 'loadingError' || msg.isInfo || msg.isBot || msg.fromId === CONTACT_ID_SELF) continue;
+          if (msg.state !== MSG_STATE_IN_FRESH && msg.state !== MSG_STATE_IN_NOTICED) continue;
+          candidates.push({ msg, chat });
+        }
+      }
+      if (candidates.length === 0) {
+        this._catchUpDone = true;
+        return;
       }
-    }
 
-    return chats;
+      candidates.sort((a, b) => a.msg.timestamp - b.msg.timestamp || a.msg.id - b.msg.id);
+      const cutoff = maxAge ? Date.now() - maxAge : 0;
+      const fresh = candidates.filter(c => c.msg.timestamp * 1000 >= cutoff);
+      const replay = fresh.slice(-maxMessages);
+      const skipped = candidates.length - replay.length;
+
+      let handled = 0;
+      let replayed = 0;
+      for (const { msg, chat } of replay) {
+        if (this._stopping || !this.connected) break;
+        const sender = await this._senderContact(this.accountId, msg);
+        if (await this._deliverIncoming({ ...this._buildMessage(msg, chat, sender), backlog: true })) replayed++;
+        handled++;
+      }
+      // skipped ones (too old / over the limit) are not offered again either
+      if (handled === replay.length) {
+        for (const { msg } of candidates) this._advanceMark(msg.chatId, msg.id, msg.timestamp * 1000, false);
+        this._catchUpDone = true;
+        this._saveMarks();
+      }
+
+      if (skipped > 0) this.log.warn('DeltaChat catch-up: skipped old messages', { skipped, maxMessages, maxAge });
+      this.log.info('DeltaChat catch-up done', { replayed, skipped });
+      this._emitEvent('catch_up', { replayed, skipped });
+    } catch (e) {
+      this.log.error('DeltaChat catch-up failed', { err: e });
+    } finally {
+      this._catchingUp = false;
+      await this._releaseIncoming();
+    }
   }
 
   /**
-   * Get bot info
+   * Queue live IncomingMsg events from now on (before startIo, so nothing
+   * arriving during the connectivity wait overtakes the catch-up)
    */
-  async getSelf() {
-    if (!this.connected || !this.accountId) return null;
-    
-    const info = await this._safeRpcCall('getAccountInfo', () => this.client.rpc.getAccountInfo(this.accountId));
-    if (!info) return null;
-    return {
-      id: String(this.accountId),
-      name: info.displayName || this.config.email,
-      username: null
-    };
+  _holdIncoming() {
+    if (this.config.catchUp !== false && !this._catchUpQueue) this._catchUpQueue = [];
   }
 
   /**
-   * Set message handler callback
+   * Deliver the held events and go back to delivering live
    */
-  onMessage(callback) {
-    try { console.log('DeltaChatChannel: onMessage handler attached (via context or host)'); } catch (e) {}
-    this.messageCallback = callback;
+  async _releaseIncoming() {
+    const queued = this._catchUpQueue || [];
+    this._catchUpQueue = null;
+    for (const event of queued) await this._handleIncomingMsg(event);
+  }
+
+  _marksPath() {
+    return path.join(this.config.accountsPath, `catchup-${this.accountKey}.json`);
   }
 
   /**
-   * Stop the channel
+   * High-water marks from disk; null when there are none for this
+   * DeltaChat account yet (new install, or the account was recreated)
    */
-  async stop() {
-    this._stopping = true;
-    this.connected = false;
-    this.messageCallback = null;
-
-    if (this.client && this.client.rpc) {
+  _loadMarks() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this._marksPath(), 'utf8'));
+      if (data && data.dcAccountId === this.accountId && data.chats) {
+        this._marks = data.chats;
+        return this._marks;
+      }
+    } catch (e) {
+      // missing or unreadable: start over
+    }
+    this._marks = {};
+    return null;
+  }
+
+  _saveMarks() {
+    if (!this._marks || this.accountId == null || !this._catchUpDone) return;
+    try {
+      fs.mkdirSync(this.config.accountsPath, { recursive: true });
+      fs.writeFileSync(this._marksPath(), JSON.stringify({ dcAccountId: this.accountId, chats: this._marks }, null, 2));
+    } catch (e) {
+      this.log.warn('DeltaChat: could not save catch-up marks', { err: e });
+    }
+  }
+
+  _markFor(chatId) {
+    if (!this._marks) this._loadMarks();
+    return this._marks[String(chatId)] || null;
+  }
+
+  _advanceMark(chatId, msgId, timestamp, save = true) {
+    if (this.config.catchUp === false) return;
+    const mark = this._markFor(chatId);
+    if (mark && mark.msgId >= msgId) return;
+    this._marks[String(chatId)] = { msgId, timestamp };
+    if (save) this._saveMarks();
+  }
+
+  /**
+   * Someone reacted to a message (empty reaction = reaction removed)
+   */
+  async _handleIncomingReaction(event) {
+    let from = { id: String(event.contactId), contactId: String(event.contactId), address: null };
+    try {
+      const c = await this._safeRpcCall('getContact', () => this.client.rpc.getContact(this.accountId, event.contactId));
+      if (c) from = this._normalizeContact(c);
+    } catch (e) {}
+
+    const chat = await this._basicChat(event.chatId);
+    if (!this._policyAllows({ id: `reaction:${event.msgId}`, from, chat })) return;
+
+    this._emitEvent('reaction', {
+      chatId: String(event.chatId),
+      msgId: String(event.msgId),
+      from,
+      reaction: event.reaction || '',
+      removed: !event.reaction
+    });
+  }
+
+  /**
+   * MsgsChanged also fires for state changes; only report incoming edits,
+   * once per distinct text
+   */
+  async _handleMsgsChanged(event) {
+    if (!event.msgId) return;
+
+    const msg = await this._safeRpcCall('getMessage', () => this.client.rpc.getMessage(this.accountId, event.msgId));
+    if (!msg || !msg.isEdited || msg.fromId === CONTACT_ID_SELF) return;
+    if (this._editedTexts.get(msg.id) === msg.text) return;
+
+    this._editedTexts.set(msg.id, msg.text);
+    if (this._editedTexts.size > 500) this._editedTexts.delete(this._editedTexts.keys().next().value);
+
+    const message = await this._normalizeMessage(this.accountId, msg.id);
+    if (!message || !this._policyAllows(message)) return;
+    this._emitEvent('message_edited', message);
+  }
+
+  async _basicChat(chatId) {
+    try {
+      const chat = await this._safeRpcCall('getBasicChatInfo', () => this.client.rpc.getBasicChatInfo(this.accountId, chatId));
+      return { id: String(chatId), type: chatKind(chat && chat.chatType), isContactRequest: !!(chat && chat.isContactRequest) };
+    } catch (e) {
+      return { id: String(chatId), type: 'direct', isContactRequest: false };
+    }
+  }
+
+  /**
+   * Policy check without contact-request side effects, for reactions and edits
+   */
+  _policyAllows(message) {
+    const verdict = this.policy.evaluate(message);
+    if (!verdict.allowed) {
+      this.log.info(`DeltaChat policy: ignored ${message.id} from ${message.from.address || message.from.id}: ${verdict.reason}`);
+    }
+    return verdict.allowed;
+  }
+
+  /**
+   * SecureJoin handshakes finish (progress 1000) or fail (progress 0);
+   * intermediate steps are not reported
+   */
+  async _handleSecureJoinProgress(event) {
+    if (event.progress !== 1000 && event.progress !== 0) return;
+
+    const role = event.kind === 'SecurejoinInviterProgress' ? 'inviter' : 'joiner';
+    let contact = null;
+    try {
+      const c = await this._safeRpcCall('getContact', () => this.client.rpc.getContact(this.accountId, event.contactId));
+      if (c) contact = this._normalizeContact(c);
+    } catch (e) {}
+
+    let stage = 'failed';
+    if (event.progress === 1000) {
+      if (role === 'joiner') stage = 'joined';
+      else stage = event.chatType && chatKind(event.chatType) !== 'direct' ? 'member_joined' : 'contact_verified';
+    }
+
+    this._emitEvent('securejoin', {
+      role,
+      stage,
+      contact,
+      chatId: event.chatId != null ? String(event.chatId) : null,
+      chatType: event.chatType ? chatKind(event.chatType) : null
+    });
+  }
+
+  /**
+   * Emit a non-message channel event ({ type, payload }) to the event callback
+   */
+  _emitEvent(type, payload) {
+    if (!this.eventCallback) return;
+    try { this.eventCallback({ type, accountId: this.accountKey, payload }); } catch (e) { this.log.error('eventCallback error', { err: e }); }
+  }
+
+  /**
+   * Run the access policy on an incoming message; returns true to deliver.
+   * Accepts or blocks contact request chats as the policy says.
+   */
+  async _applyPolicy(message) {
+    const verdict = this.policy.evaluate(message);
+    const chatIdNum = parseInt(message.chat.id, 10);
+
+    try {
+      if (verdict.action === 'accept') {
+        await this._safeRpcCall('acceptChat', () => this.client.rpc.acceptChat(this.accountId, chatIdNum));
+      } else if (verdict.action === 'block') {
+        await this._safeRpcCall('blockChat', () => this.client.rpc.blockChat(this.accountId, chatIdNum));
+      }
+    } catch (e) {
+      this.log.error(`DeltaChat policy: ${verdict.action} of chat ${chatIdNum} failed`, { err: e });
+    }
+
+    if (!verdict.allowed) {
+      try {
+        this.log.info(`DeltaChat policy: rejected message ${message.id} from ${message.from.address || message.from.id} in chat ${message.chat.id}: ${verdict.reason}`);
+      } catch (_) {}
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Replace the access policy without restarting
+   */
+  reloadPolicy(policyConfig) {
+    this.config.policy = policyConfig || {};
+    this.policy.update(this.config.policy);
+    this.log.info('DeltaChat policy reloaded');
+    return { accountId: this.accountKey, reloaded: true };
+  }
+
+  /**
+   * Normalize DeltaChat message to OpenClaw format
+   */
+  async _normalizeMessage(accountId, msgId) {
+    try {
+      const msg = await this._safeRpcCall('getMessage', () => this.client.rpc.getMessage(accountId, msgId));
+      if (!msg || msg.isBot) return null;
+
+      const chat = await this._safeRpcCall('getFullChatById', () => this.client.rpc.getFullChatById(accountId, msg.chatId));
+      const sender = await this._senderContact(accountId, msg);
+      return this._buildMessage(msg, chat, sender);
+    } catch (e) {
+      this.log.error('DeltaChat _normalizeMessage failed', { err: e });
+      return null;
+    }
+  }
+
+  /**
+   * Core message + chat + sender contact -> OpenClaw message
+   */
+  _buildMessage(msg, chat, sender) {
+    const chatType = chatKind(chat.chatType);
+    return {
+      id: String(msg.id),
+      accountId: this.accountKey,
+      text: msg.text || '',
+      from: this._normalizeSender(msg, sender, chat),
+      fromSelf: msg.fromId === CONTACT_ID_SELF,
+      chat: {
+        id: String(msg.chatId),
+        type: chatType,
+        name: chat.name || (chatType === 'direct' ? 'Direct' : 'Group'),
+        isContactRequest: !!chat.isContactRequest
+      },
+      timestamp: msg.timestamp * 1000,
+      attachments: this._normalizeAttachments(msg),
+      replyTo: msg.quote ? String(msg.quote.messageId) : null,
+      raw: msg
+    };
+  }
+
+  /**
+   * Load and normalize messages by id in one getMessages call, keeping the
+   * order of ids; info messages and ones that fail to load are skipped
+   */
+  async _loadMessages(ids) {
+    if (ids.length === 0) return [];
+    const loaded = await this._safeRpcCall('getMessages', () => this.client.rpc.getMessages(this.accountId, ids));
+    const chats = new Map();
+    const out = [];
+    for (const id of ids) {
+      const msg = loaded && loaded[id];
+      if (!msg || msg.kind === 'loadingError' || msg.isInfo) continue;
+      if (!chats.has(msg.chatId)) {
+        chats.set(msg.chatId, await this._safeRpcCall('getFullChatById', () => this.client.rpc.getFullChatById(this.accountId, msg.chatId)));
+      }
+      const sender = await this._senderContact(this.accountId, msg);
+      out.push(this._buildMessage(msg, chats.get(msg.chatId), sender));
+    }
+    return out;
+  }
+
+  /**
+   * Contact record of the sender: embedded in newer cores, fetched otherwise
+   */
+  async _senderContact(accountId, msg) {
+    if (msg.sender && msg.sender.address) return msg.sender;
+    try {
+      return await this._safeRpcCall('getContact', () => this.client.rpc.getContact(accountId, msg.fromId));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Sender identity keyed on the email address, which unlike the numeric
+   * contact id is stable across databases and accounts
+   */
+  _normalizeSender(msg, contact, chat) {
+    if (!contact) {
+      return {
+        id: String(msg.fromId),
+        contactId: String(msg.fromId),
+        address: null,
+        name: msg.overrideSenderName || (chat && chat.name) || String(msg.fromId),
+        username: null
+      };
+    }
+    const c = this._normalizeContact(contact);
+    return {
+      ...c,
+      id: c.address || c.contactId,
+      // mailing lists and bridges may override the displayed name per message
+      name: msg.overrideSenderName || c.name
+    };
+  }
+
+  /**
+   * DeltaChat Contact -> OpenClaw contact
+   */
+  _normalizeContact(c) {
+    const address = c.address ? String(c.address).toLowerCase() : null;
+    return {
+      id: address || String(c.id),
+      contactId: String(c.id),
+      address,
+      name: c.displayName || c.name || c.authName || address || String(c.id),
+      username: null,
+      isVerified: !!c.isVerified,
+      e2eeAvailable: !!c.e2eeAvail,
+      isBlocked: !!c.isBlocked,
+      isBot: !!c.isBot,
+      profileImage: c.profileImage || null
+    };
+  }
+
+  /**
+   * Map the file fields of a DeltaChat message to OpenClaw attachments.
+   * Each attachment carries the blob path plus a non-enumerable
+   * createReadStream() so it still serializes cleanly over the shim.
+   */
+  _normalizeAttachments(msg) {
+    try {
+      if (!msg || !msg.file) return [];
+      const type = VIEWTYPE_TO_ATTACHMENT[msg.viewType] || 'file';
+      const filePath = msg.file;
+
+      const attachment = {
+        type,
+        path: filePath,
+        mimeType: msg.fileMime || null,
+        fileName: msg.fileName || path.basename(filePath),
+        size: typeof msg.fileBytes === 'number' ? msg.fileBytes : null,
+        animated: msg.viewType === 'Gif'
+      };
+
+      if (type === 'image' || type === 'sticker' || type === 'video') {
+        attachment.width = msg.dimensionsWidth > 0 ? msg.dimensionsWidth : null;
+        attachment.height = msg.dimensionsHeight > 0 ? msg.dimensionsHeight : null;
+      }
+      if (type === 'audio' || type === 'voice' || type === 'video') {
+        // DeltaChat reports duration in milliseconds, 0 when unknown
+        attachment.duration = msg.duration > 0 ? msg.duration : null;
+      }
+      if (msg.downloadState && msg.downloadState !== 'Done') {
+        attachment.downloadState = msg.downloadState;
+      }
+
+      Object.defineProperty(attachment, 'createReadStream', {
+        enumerable: false,
+        value: () => fs.createReadStream(filePath)
+      });
+
+      return [attachment];
+    } catch (e) {
+      this.log.error('DeltaChat _normalizeAttachments failed', { err: e });
+      return [];
+    }
+  }
+
+  /**
+   * Send message
+   * Goes through the persistent outbox: queued while disconnected, retried
+   * with backoff, resolved with the DeltaChat msgId once sendMsg succeeded.
+   * options.attachments: array of files accepted by sendFile(); the text is
+   * attached to the first file, any further files go out as separate messages.
+   * options.idempotencyKey: repeated sends with the same key are sent once.
+   * options.wait === false: resolve right after queueing with { queued, key }.
+   */
+  async send(chatId, text, options = {}) {
+    if (this._stopping) throw new Error('DeltaChat channel stopped');
+
+    if (isNaN(parseInt(chatId, 10))) throw new Error(`invalid chatId ${chatId}`);
+    const outbox = this._ensureOutbox();
+    if (!outbox) return this._sendNow(chatId, text, options);
+
+    const attachments = Array.isArray(options.attachments) ? options.attachments : [];
+    const key = options.idempotencyKey ? String(options.idempotencyKey) : null;
+    const base = { chatId: String(chatId), replyTo: options.replyTo || null, voice: !!options.voice };
+
+    const entries = [];
+    if (attachments.length === 0) {
+      entries.push({ ...base, key, text });
+    } else {
+      for (let i = 0; i < attachments.length; i++) {
+        const entryKey = key ? `${key}#${i}` : null;
+        // a repeated key is answered from the outbox, nothing to stage
+        const file = entryKey && outbox.has(entryKey) ? null : await this._writeOutgoingBlob(attachments[i]);
+        entries.push({
+          ...base,
+          key: entryKey,
+          text: i === 0 ? text : null,
+          replyTo: i === 0 ? base.replyTo : null,
+          file
+        });
+      }
+    }
+
+    const promises = entries.map((entry) => {
+      // the same key may have been queued while we were staging
+      if (entry.file && entry.key && outbox.has(entry.key)) this._removeStagedFile(entry.file);
+      return outbox.enqueue(entry);
+    });
+    if (options.wait === false) {
+      promises.forEach(p => p.catch(() => {}));
+      return { queued: true, key };
+    }
+
+    const ids = await Promise.all(promises);
+    return ids.length > 1 ? { id: ids[0], ids } : { id: ids[0] };
+  }
+
+  /**
+   * Send a single file
+   * file: path string, Buffer, readable stream, or
+   * { path | buffer | stream, fileName, mimeType, viewType }
+   * options: { text, replyTo, voice, idempotencyKey, wait }
+   */
+  async sendFile(chatId, file, options = {}) {
+    const { text, ...rest } = options;
+    return this.send(chatId, text || null, { ...rest, attachments: [file] });
+  }
+
+  /**
+   * Send immediately, bypassing the outbox (config.outbox === false)
+   */
+  async _sendNow(chatId, text, options = {}) {
+    if (!this.connected || !this.accountId) {
+      throw notConnectedError();
+    }
+
+    const attachments = Array.isArray(options.attachments) ? options.attachments : [];
+    if (attachments.length > 0) {
+      const ids = [];
+      for (let i = 0; i < attachments.length; i++) {
+        const prepared = await this._writeOutgoingBlob(attachments[i]);
+        try {
+          ids.push(await this._sendStagedFile(chatId, prepared, {
+            ...options,
+            text: i === 0 ? text : null,
+            replyTo: i === 0 ? options.replyTo : null
+          }));
+        } finally {
+          this._removeStagedFile(prepared);
+        }
+      }
+      return ids.length > 1 ? { id: ids[0], ids } : { id: ids[0] };
+    }
+
+    return { id: await this._sendText(chatId, text, options) };
+  }
+
+  async _sendText(chatId, text, options = {}) {
+    const chatIdNum = parseInt(chatId, 10);
+    const msgData = { text };
+
+    if (options.replyTo) {
+      msgData.quotedMessageId = parseInt(options.replyTo, 10);
+    }
+
+    const msgId = await this._countSend(chatIdNum, () => this._safeRpcCall('sendMsg', () => this.client.rpc.sendMsg(this.accountId, chatIdNum, msgData)));
+    return String(msgId);
+  }
+
+  /**
+   * Count a send attempt as sent or failed for /metrics
+   */
+  async _countSend(chatId, fn) {
+    try {
+      const result = await fn();
+      this.metrics.inc('deltachat_messages_sent_total', { account: this.accountKey });
+      await this._markAnswered(chatId);
+      return result;
+    } catch (e) {
+      this.metrics.inc('deltachat_send_failures_total', { account: this.accountKey });
+      throw e;
+    }
+  }
+
+  /**
+   * Send a file already staged by _writeOutgoingBlob; returns the msgId
+   */
+  async _sendStagedFile(chatId, prepared, options = {}) {
+    const chatIdNum = parseInt(chatId, 10);
+    const msgData = {
+      text: options.text || null,
+      file: prepared.path,
+      filename: prepared.fileName,
+      viewtype: prepared.viewType || this._viewTypeForMime(prepared.mimeType, options)
+    };
+
+    if (options.replyTo) {
+      msgData.quotedMessageId = parseInt(options.replyTo, 10);
+    }
+
+    const msgId = await this._countSend(chatIdNum, () => this._safeRpcCall('sendMsg', () => this.client.rpc.sendMsg(this.accountId, chatIdNum, msgData)));
+    return String(msgId);
+  }
+
+  _removeStagedFile(prepared) {
+    // the core copies the file into its own blobdir on send
+    try { if (prepared && prepared.path) fs.unlinkSync(prepared.path); } catch (_) {}
+  }
+
+  /**
+   * Persistent outbox next to accountsPath, one journal per OpenClaw account
+   */
+  _ensureOutbox() {
+    if (this.config.outbox === false) return null;
+    if (this.outbox) return this.outbox;
+
+    const opts = (this.config.outbox && typeof this.config.outbox === 'object') ? this.config.outbox : {};
+    this.outbox = new Outbox({
+      filePath: opts.path || path.join(this.config.accountsPath, `outbox-${this.accountKey}.jsonl`),
+      initialDelay: opts.initialDelay,
+      maxDelay: opts.maxDelay,
+      maxAttempts: opts.maxAttempts,
+      dedupeWindow: opts.dedupeWindow,
+      logger: this.log,
+      isPermanent: isPermanentSendError,
+      canDeliver: () => this.connected && !!this.accountId && !this._stopping,
+      deliver: (entry) => entry.file
+        ? this._sendStagedFile(entry.chatId, entry.file, entry)
+        : this._sendText(entry.chatId, entry.text, entry),
+      onSettled: (entry) => { if (entry.file) this._removeStagedFile(entry.file); }
+    });
+    return this.outbox;
+  }
+
+  /**
+   * Report DeltaChat delivery state of sent messages to the callback
+   */
+  _emitDeliveryStatus(event) {
+    if (!this.deliveryCallback) return;
+    const status = { MsgDelivered: 'delivered', MsgFailed: 'failed', MsgRead: 'read' }[event.kind];
+    if (!status) return;
+
+    const update = {
+      accountId: this.accountKey,
+      chatId: String(event.chatId),
+      msgId: String(event.msgId),
+      status,
+      idempotencyKey: this.outbox ? this.outbox.keyForMsgId(event.msgId) : null,
+      timestamp: Date.now()
+    };
+    try { this.deliveryCallback(update); } catch (e) { this.log.error('deliveryCallback error', { err: e }); }
+  }
+
+  /**
+   * Directory for files staged before sendMsg
+   */
+  _outgoingBlobDir() {
+    const dir = this.config.outgoingBlobDir || path.join(this.config.accountsPath, 'outgoing-blobs');
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  /**
+   * Stage an outgoing file in the managed blob directory
+   */
+  async _writeOutgoingBlob(file) {
+    const spec = (typeof file === 'string' || Buffer.isBuffer(file) || this._isReadable(file)) ? { data: file } : (file || {});
+    const source = spec.data || spec.buffer || spec.stream || spec.path;
+    if (!source) throw new Error('sendFile: no file data');
+
+    const sourceName = typeof source === 'string' ? path.basename(source) : null;
+    const fileName = path.basename(spec.fileName || spec.filename || sourceName || 'file.bin');
+    const mimeType = spec.mimeType || EXTENSION_TO_MIME[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+
+    const dir = this._outgoingBlobDir();
+    const target = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 10)}-${fileName}`);
+
+    if (typeof source === 'string') {
+      await fs.promises.copyFile(source, target);
+    } else if (Buffer.isBuffer(source)) {
+      await fs.promises.writeFile(target, source);
+    } else if (this._isReadable(source)) {
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(target);
+        source.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', resolve);
+        source.pipe(out);
+      });
+    } else {
+      throw new Error('sendFile: unsupported file data');
+    }
+
+    return { path: target, fileName, mimeType, viewType: spec.viewType || null };
+  }
+
+  _isReadable(obj) {
+    return !!obj && typeof obj === 'object' && typeof obj.pipe === 'function' && typeof obj.on === 'function';
+  }
+
+  /**
+   * Pick DeltaChat viewtype from MIME type
+   */
+  _viewTypeForMime(mimeType, options = {}) {
+    const mime = String(mimeType || '').toLowerCase();
+    if (mime === 'image/gif') return 'Gif';
+    if (mime.startsWith('image/')) return 'Image';
+    if (mime.startsWith('audio/')) return options.voice ? 'Voice' : 'Audio';
+    if (mime.startsWith('video/')) return 'Video';
+    return 'File';
+  }
+
+  /**
+   * Get chat info
+   */
+  async getChat(chatId) {
+    if (!this.connected || !this.accountId) return null;
+
+    const chatIdNum = parseInt(chatId, 10);
+    const chat = await this._safeRpcCall('getFullChatById', () => this.client.rpc.getFullChatById(this.accountId, chatIdNum));
+    if (!chat) return null;
+    
+    return {
+      id: String(chatIdNum),
+      name: chat.name,
+      type: chatKind(chat.chatType)
+    };
+  }
+
+  /**
+   * List chats
+   */
+  async listChats() {
+    if (!this.connected || !this.accountId) return [];
+
+    const entries = await this._safeRpcCall('getChatlistEntries', () => this.client.rpc.getChatlistEntries(this.accountId, 0, null, null));
+    const chats = [];
+
+    if (!Array.isArray(entries)) return chats;
+
+    for (const chatId of entries) {
       try {
-        await this._safeRpcCall('stopIoForAllAccounts', () => this.client.rpc.stopIoForAllAccounts());
+        const chat = await this._safeRpcCall('getBasicChatInfo', () => this.client.rpc.getBasicChatInfo(this.accountId, chatId));
+        if (chat) chats.push({ id: String(chatId), name: chat.name, type: chatKind(chat.chatType) });
       } catch (e) {
-        // Ignore
+        // Skip problematic chats
       }
     }
 
-    if (this.rpcProcess) {
+    return chats;
+  }
+
+  /**
+   * Create a group; options: { members: [addresses], protect, unencrypted }
+   */
+  async createGroup(name, options = {}) {
+    this._requireConnected();
+
+    const chatId = options.unencrypted
+      ? await this._safeRpcCall('createGroupChatUnencrypted', () => this.client.rpc.createGroupChatUnencrypted(this.accountId, name))
+      : await this._safeRpcCall('createGroupChat', () => this.client.rpc.createGroupChat(this.accountId, name, !!options.protect));
+
+    const members = Array.isArray(options.members) ? options.members : [];
+    if (members.length > 0) await this.addMembers(chatId, members);
+    return this.getChat(chatId);
+  }
+
+  /**
+   * Create a broadcast channel; options: { members: [addresses] }
+   */
+  async createBroadcast(name, options = {}) {
+    this._requireConnected();
+
+    let chatId;
+    if (typeof this.client.rpc.createBroadcast === 'function') {
+      chatId = await this._safeRpcCall('createBroadcast', () => this.client.rpc.createBroadcast(this.accountId, name));
+    } else {
+      // older cores: unnamed broadcast list, renamed afterwards
+      chatId = await this._safeRpcCall('createBroadcastList', () => this.client.rpc.createBroadcastList(this.accountId));
+      if (name) await this._safeRpcCall('setChatName', () => this.client.rpc.setChatName(this.accountId, chatId, name));
+    }
+
+    const members = Array.isArray(options.members) ? options.members : [];
+    if (members.length > 0) await this.addMembers(chatId, members);
+    return this.getChat(chatId);
+  }
+
+  /**
+   * Add contacts (by email address) to a group or broadcast
+   */
+  async addMembers(chatId, addresses) {
+    this._requireConnected();
+    const chatIdNum = parseInt(chatId, 10);
+    const added = [];
+    for (const addr of [].concat(addresses || [])) {
+      const contactId = await this._contactIdForAddress(addr, { create: true });
+      await this._safeRpcCall('addContactToChat', () => this.client.rpc.addContactToChat(this.accountId, chatIdNum, contactId));
+      added.push(String(addr));
+    }
+    return { chatId: String(chatIdNum), added };
+  }
+
+  /**
+   * Remove contacts (by email address) from a group or broadcast
+   */
+  async removeMembers(chatId, addresses) {
+    this._requireConnected();
+    const chatIdNum = parseInt(chatId, 10);
+    const removed = [];
+    for (const addr of [].concat(addresses || [])) {
+      const contactId = await this._contactIdForAddress(addr, { create: false });
+      if (contactId == null) continue;
+      await this._safeRpcCall('removeContactFromChat', () => this.client.rpc.removeContactFromChat(this.accountId, chatIdNum, contactId));
+      removed.push(String(addr));
+    }
+    return { chatId: String(chatIdNum), removed };
+  }
+
+  async renameChat(chatId, name) {
+    this._requireConnected();
+    const chatIdNum = parseInt(chatId, 10);
+    await this._safeRpcCall('setChatName', () => this.client.rpc.setChatName(this.accountId, chatIdNum, name));
+    return this.getChat(chatIdNum);
+  }
+
+  /**
+   * Start a streamed reply: posts a placeholder and returns { streamId, msgId }.
+   * Feed it with appendStream(), close it with finishStream().
+   * options: { replyTo, placeholder, maxLength, editInterval }, defaults
+   * from config.streaming; idle streams are finished after idleTimeout ms.
+   */
+  async startStream(chatId, options = {}) {
+    this._requireConnected();
+    const cfg = this.config.streaming || {};
+
+    let first = true;
+    const stream = new ReplyStream({
+      send: (text) => {
+        const opts = first && options.replyTo ? { replyTo: options.replyTo } : {};
+        first = false;
+        return this._sendText(chatId, text, opts);
+      },
+      edit: (msgId, text) => this._safeRpcCall('sendEditRequest', () => this.client.rpc.sendEditRequest(this.accountId, parseInt(msgId, 10), text)),
+      remove: (msgIds) => this._safeRpcCall('deleteMessagesForAll', () => this.client.rpc.deleteMessagesForAll(this.accountId, msgIds.map(id => parseInt(id, 10)))),
+      logger: this.log,
+      maxLength: options.maxLength || cfg.maxLength,
+      editInterval: options.editInterval || cfg.editInterval,
+      placeholder: options.placeholder != null ? options.placeholder : cfg.placeholder
+    });
+
+    const msgId = await stream.start();
+    const streamId = `${this.accountKey}:${msgId}:${Math.random().toString(36).slice(2, 8)}`;
+    this._streams.set(streamId, { stream, timer: null });
+    this._touchStream(streamId);
+    return { streamId, msgId };
+  }
+
+  async appendStream(streamId, text) {
+    const entry = this._streams.get(streamId);
+    if (!entry) throw new Error(`unknown stream ${streamId}`);
+    entry.stream.append(text);
+    this._touchStream(streamId);
+    return { streamId, length: entry.stream.text.length };
+  }
+
+  /**
+   * Final flush; finalText (optional) replaces the streamed text.
+   * Returns { ids, length } with every message the reply was split into.
+   */
+  async finishStream(streamId, finalText) {
+    const entry = this._streams.get(streamId);
+    if (!entry) throw new Error(`unknown stream ${streamId}`);
+    this._streams.delete(streamId);
+    if (entry.timer) clearTimeout(entry.timer);
+    const result = await entry.stream.finish(finalText);
+    return { streamId, ...result };
+  }
+
+  async abortStream(streamId) {
+    const entry = this._streams.get(streamId);
+    if (!entry) return { streamId, aborted: false };
+    this._streams.delete(streamId);
+    if (entry.timer) clearTimeout(entry.timer);
+    entry.stream.abort();
+    return { streamId, aborted: true };
+  }
+
+  /**
+   * In-process convenience around the stream methods:
+   * { streamId, msgId, write(text), end(finalText), abort() }
+   */
+  async sendStream(chatId, options = {}) {
+    const { streamId, msgId } = await this.startStream(chatId, options);
+    return {
+      streamId,
+      msgId,
+      write: (text) => this.appendStream(streamId, text),
+      end: (finalText) => this.finishStream(streamId, finalText),
+      abort: () => this.abortStream(streamId)
+    };
+  }
+
+  _touchStream(streamId) {
+    const entry = this._streams.get(streamId);
+    if (!entry) return;
+    if (entry.timer) clearTimeout(entry.timer);
+    const idle = (this.config.streaming && this.config.streaming.idleTimeout) || 10 * 60 * 1000;
+    entry.timer = setTimeout(() => {
+      this.log.warn(`DeltaChat stream ${streamId} idle, finishing`);
+      this.finishStream(streamId).catch(() => {});
+    }, idle);
+  }
+
+  /**
+   * React to a message; an empty emoji removes our reaction
+   */
+  async react(chatId, msgId, emoji) {
+    this._requireConnected();
+    const msgIdNum = parseInt(msgId, 10);
+    const reactions = emoji ? [String(emoji)] : [];
+    const id = await this._safeRpcCall('sendReaction', () => this.client.rpc.sendReaction(this.accountId, msgIdNum, reactions));
+    await this._markAnswered(chatId);
+    return { id: String(id), chatId: String(chatId), msgId: String(msgIdNum) };
+  }
+
+  /**
+   * Edit the text of one of our own messages
+   */
+  async editMessage(chatId, msgId, text) {
+    this._requireConnected();
+    const msgIdNum = parseInt(msgId, 10);
+    await this._safeRpcCall('sendEditRequest', () => this.client.rpc.sendEditRequest(this.accountId, msgIdNum, String(text)));
+    return { chatId: String(chatId), msgId: String(msgIdNum), edited: true };
+  }
+
+  /**
+   * Delete messages locally, or for all members with options.forEveryone
+   */
+  async deleteMessages(chatId, msgIds, options = {}) {
+    this._requireConnected();
+    const ids = [].concat(msgIds || []).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    if (ids.length === 0) return { chatId: String(chatId), deleted: [] };
+
+    if (options.forEveryone) {
+      await this._safeRpcCall('deleteMessagesForAll', () => this.client.rpc.deleteMessagesForAll(this.accountId, ids));
+    } else {
+      await this._safeRpcCall('deleteMessages', () => this.client.rpc.deleteMessages(this.accountId, ids));
+    }
+    return { chatId: String(chatId), deleted: ids.map(String) };
+  }
+
+  /**
+   * Earlier messages of a chat, oldest first, e.g. to rebuild context after
+   * a restart. options: { before, limit }; pass nextCursor back as before
+   * to page further into the past, it is null once the chat start is reached.
+   * Our own and other bots' messages are included (see fromSelf).
+   */
+  async getMessages(chatId, options = {}) {
+    this._requireConnected();
+    const chatIdNum = parseInt(chatId, 10);
+    const limit = pageLimit(options.limit);
+    const ids = await this._safeRpcCall('getMessageIds', () => this.client.rpc.getMessageIds(this.accountId, chatIdNum, false, false)) || [];
+
+    let end = ids.length;
+    if (options.before != null) {
+      const before = parseInt(options.before, 10);
+      const at = ids.indexOf(before);
+      // cursor message deleted meanwhile: ids grow with arrival, close enough
+      end = at >= 0 ? at : ids.findIndex(id => id > before);
+      if (end < 0) end = ids.length;
+    }
+    const start = Math.max(0, end - limit);
+    const page = ids.slice(start, end);
+
+    return {
+      chatId: String(chatIdNum),
+      messages: await this._loadMessages(page),
+      nextCursor: start > 0 ? String(page[0]) : null
+    };
+  }
+
+  /**
+   * Full-text search over all chats or options.chatId, newest first.
+   * options: { chatId, before, limit } with the same cursor as getMessages()
+   */
+  async searchMessages(query, options = {}) {
+    this._requireConnected();
+    const text = String(query || '').trim();
+    const chatIdNum = options.chatId == null ? null : parseInt(options.chatId, 10);
+    const chatIdOut = chatIdNum == null ? null : String(chatIdNum);
+    if (!text) return { query: text, chatId: chatIdOut, messages: [], nextCursor: null };
+
+    const limit = pageLimit(options.limit);
+    const found = await this._safeRpcCall('searchMessages', () => this.client.rpc.searchMessages(this.accountId, text, chatIdNum)) || [];
+    // the core orders chat and global results differently; ids grow with arrival
+    let ids = Array.from(new Set(found)).sort((a, b) => b - a);
+    if (options.before != null) {
+      const before = parseInt(options.before, 10);
+      ids = ids.filter(id => id < before);
+    }
+    const page = ids.slice(0, limit);
+
+    return {
+      query: text,
+      chatId: chatIdOut,
+      messages: await this._loadMessages(page),
+      nextCursor: ids.length > limit ? String(page[page.length - 1]) : null
+    };
+  }
+
+  /**
+   * Mark messages seen explicitly (read receipts go out if enabled),
+   * e.g. with markSeen: 'never' when the agent decides itself
+   */
+  async markSeen(msgIds) {
+    this._requireConnected();
+    const ids = [].concat(msgIds || []).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    if (ids.length === 0) return { seen: [] };
+
+    await this._safeRpcCall('markseenMsgs', () => this.client.rpc.markseenMsgs(this.accountId, ids));
+    for (const [chatId, pending] of this._unanswered) {
+      ids.forEach(id => pending.delete(id));
+      if (pending.size === 0) this._unanswered.delete(chatId);
+    }
+    return { seen: ids.map(String) };
+  }
+
+  /**
+   * Set the group avatar from anything sendFile() accepts; null removes it
+   */
+  async setChatImage(chatId, image) {
+    this._requireConnected();
+    const chatIdNum = parseInt(chatId, 10);
+    if (image == null) {
+      await this._safeRpcCall('setChatProfileImage', () => this.client.rpc.setChatProfileImage(this.accountId, chatIdNum, null));
+      return this.getChat(chatIdNum);
+    }
+
+    const prepared = await this._writeOutgoingBlob(image);
+    try {
+      await this._safeRpcCall('setChatProfileImage', () => this.client.rpc.setChatProfileImage(this.accountId, chatIdNum, prepared.path));
+    } finally {
+      this._removeStagedFile(prepared);
+    }
+    return this.getChat(chatIdNum);
+  }
+
+  async leaveGroup(chatId) {
+    this._requireConnected();
+    const chatIdNum = parseInt(chatId, 10);
+    await this._safeRpcCall('leaveGroup', () => this.client.rpc.leaveGroup(this.accountId, chatIdNum));
+    return { chatId: String(chatIdNum), left: true };
+  }
+
+  /**
+   * Members of a chat with their addresses
+   */
+  async getChatMembers(chatId) {
+    if (!this.connected || !this.accountId) return [];
+
+    const chatIdNum = parseInt(chatId, 10);
+    const ids = await this._safeRpcCall('getChatContacts', () => this.client.rpc.getChatContacts(this.accountId, chatIdNum));
+    if (!Array.isArray(ids) || ids.length === 0) return [];
+
+    const contacts = await this._safeRpcCall('getContactsByIds', () => this.client.rpc.getContactsByIds(this.accountId, ids));
+    return ids.map((id) => ({
+      ...this._normalizeContact((contacts && contacts[id]) || { id }),
+      isSelf: id === CONTACT_ID_SELF
+    }));
+  }
+
+  /**
+   * Look up a contact by email address or numeric contact id
+   */
+  async getContact(addressOrId) {
+    if (!this.connected || !this.accountId) return null;
+
+    const contactId = await this._resolveContactId(addressOrId, { create: false });
+    if (contactId == null) return null;
+    const contact = await this._safeRpcCall('getContact', () => this.client.rpc.getContact(this.accountId, contactId));
+    return contact ? this._normalizeContact(contact) : null;
+  }
+
+  /**
+   * Create (or update the name of) a contact
+   */
+  async createContact(address, name = null) {
+    this._requireConnected();
+    const addr = String(address || '').trim();
+    if (!addr) throw new Error('contact address required');
+    const contactId = await this._safeRpcCall('createContact', () => this.client.rpc.createContact(this.accountId, addr, name || null));
+    const contact = await this._safeRpcCall('getContact', () => this.client.rpc.getContact(this.accountId, contactId));
+    return this._normalizeContact(contact || { id: contactId, address: addr });
+  }
+
+  async blockContact(addressOrId) {
+    this._requireConnected();
+    const contactId = await this._resolveContactId(addressOrId, { create: true });
+    await this._safeRpcCall('blockContact', () => this.client.rpc.blockContact(this.accountId, contactId));
+    return { contactId: String(contactId), blocked: true };
+  }
+
+  async unblockContact(addressOrId) {
+    this._requireConnected();
+    const contactId = await this._resolveContactId(addressOrId, { create: false });
+    if (contactId == null) return { contactId: null, blocked: false };
+    await this._safeRpcCall('unblockContact', () => this.client.rpc.unblockContact(this.accountId, contactId));
+    return { contactId: String(contactId), blocked: false };
+  }
+
+  /**
+   * List contacts; options: { query, blocked } (blocked: true lists only blocked ones)
+   */
+  async listContacts(options = {}) {
+    if (!this.connected || !this.accountId) return [];
+
+    if (options.blocked) {
+      const blocked = await this._safeRpcCall('getBlockedContacts', () => this.client.rpc.getBlockedContacts(this.accountId));
+      return Array.isArray(blocked) ? blocked.map(c => this._normalizeContact(c)) : [];
+    }
+
+    const contacts = await this._safeRpcCall('getContacts', () => this.client.rpc.getContacts(this.accountId, 0, options.query || null));
+    return Array.isArray(contacts) ? contacts.map(c => this._normalizeContact(c)) : [];
+  }
+
+  /**
+   * Numeric ids pass through; anything else is treated as an email address
+   */
+  async _resolveContactId(addressOrId, options = {}) {
+    if (typeof addressOrId === 'number' || /^\d+$/.test(String(addressOrId))) return parseInt(addressOrId, 10);
+    return this._contactIdForAddress(addressOrId, options);
+  }
+
+  /**
+   * Resolve an email address to a contact id, optionally creating the contact
+   */
+  async _contactIdForAddress(addr, options = {}) {
+    const address = String(addr || '').trim();
+    if (!address) throw new Error('contact address required');
+
+    const existing = await this._safeRpcCall('lookupContactIdByAddr', () => this.client.rpc.lookupContactIdByAddr(this.accountId, address));
+    if (existing != null || !options.create) return existing;
+    return this._safeRpcCall('createContact', () => this.client.rpc.createContact(this.accountId, address, options.name || null));
+  }
+
+  _requireConnected() {
+    if (!this.connected || !this.accountId || !this.client) {
+      throw notConnectedError();
+    }
+  }
+
+  /**
+   * SecureJoin invite for 1:1 contact setup (no chatId) or for a group:
+   * { qr, svg, url } where url is the https://i.delta.chat/ invite link
+   */
+  async getInvite(chatId = null) {
+    this._requireConnected();
+    const chatIdNum = chatId == null ? null : parseInt(chatId, 10);
+
+    let qr;
+    let svg;
+    if (typeof this.client.rpc.createQrSvg === 'function') {
+      qr = await this._safeRpcCall('getChatSecurejoinQrCode', () => this.client.rpc.getChatSecurejoinQrCode(this.accountId, chatIdNum));
+      svg = await this._safeRpcCall('createQrSvg', () => this.client.rpc.createQrSvg(qr));
+    } else {
+      [qr, svg] = await this._safeRpcCall('getChatSecurejoinQrCodeSvg', () => this.client.rpc.getChatSecurejoinQrCodeSvg(this.accountId, chatIdNum));
+    }
+
+    return {
+      chatId: chatIdNum == null ? null : String(chatIdNum),
+      qr,
+      svg,
+      url: inviteUrl(qr)
+    };
+  }
+
+  /**
+   * Join someone else's invite (QR text or https://i.delta.chat/ link);
+   * the handshake continues in the background, see 'securejoin' events
+   */
+  async joinInvite(qr) {
+    this._requireConnected();
+    const chatId = await this._safeRpcCall('secureJoin', () => this.client.rpc.secureJoin(this.accountId, String(qr)));
+    return { chatId: String(chatId) };
+  }
+
+  /**
+   * Get bot info
+   */
+  async getSelf() {
+    if (!this.connected || !this.accountId) return null;
+    
+    const info = await this._safeRpcCall('getAccountInfo', () => this.client.rpc.getAccountInfo(this.accountId));
+    if (!info) return null;
+    return {
+      id: String(this.accountId),
+      accountId: this.accountKey,
+      name: info.displayName || this.config.email,
+      email: info.addr || this.config.email,
+      username: null
+    };
+  }
+
+  /**
+   * Health snapshot: RPC process, account, connectivity, event and outbox state
+   */
+  async getStatus() {
+    const host = this.host;
+    const status = {
+      accountId: this.accountKey,
+      dcAccountId: this.accountId,
+      connected: this.connected,
+      rpc: {
+        alive: !!(host && host.running && host.rpcProcess),
+        pid: host && host.rpcProcess ? host.rpcProcess.pid : null,
+        restartCount: host ? host.restartCount : 0,
+        lastExit: host ? host.lastExit : null,
+        readyAfterMs: host ? host.readyAfterMs : null
+      },
+      account: { configured: null, addr: this.config.email || null },
+      connectivity: { level: this.connectivity, state: connectivityState(this.connectivity) },
+      lastEventAt: this.lastEventAt,
+      outbox: { depth: this.outbox ? this.outbox.size() : 0 },
+      bootTimings: this.bootTimings
+    };
+
+    if (this.client && this.client.rpc && this.accountId) {
+      try {
+        const info = await this._safeRpcCall('getAccountInfo', () => this.client.rpc.getAccountInfo(this.accountId), { timeout: 3000 });
+        status.account.configured = !!info && info.kind === 'Configured';
+        if (info && info.addr) status.account.addr = info.addr;
+      } catch (e) {}
       try {
-        this.rpcProcess.kill();
+        const level = await this._safeRpcCall('getConnectivity', () => this.client.rpc.getConnectivity(this.accountId), { timeout: 3000 });
+        this.connectivity = level;
+        status.connectivity = { level, state: connectivityState(level) };
       } catch (e) {}
-      this.rpcProcess = null;
+    }
+
+    return status;
+  }
+
+  /**
+   * Set message handler callback
+   */
+  onMessage(callback) {
+    this.log.debug('DeltaChatChannel: onMessage handler attached (via context or host)');
+    this.messageCallback = callback;
+    // attached after init(): hand over what arrived without a listener
+    if (callback && this.connected) this._catchUp().catch(() => {});
+  }
+
+  /**
+   * Set callback for other channel events: { type, accountId, payload }
+   * - 'reaction': { chatId, msgId, from, reaction, removed }
+   * - 'message_edited': normalized message with the new text
+   * - 'message_deleted': { chatId, msgId }
+   * - 'securejoin': { role, stage, contact, chatId, chatType }
+   * - 'message_read': { chatId, msgId, idempotencyKey, readBy } for our messages
+   * - 'catch_up': { replayed, skipped } after messages missed while offline
+   *   were delivered (those carry backlog: true)
+   */
+  onEvent(callback) {
+    this.eventCallback = callback;
+  }
+
+  /**
+   * Set delivery status callback: { msgId, chatId, status, idempotencyKey }
+   * for MsgDelivered / MsgFailed / MsgRead
+   */
+  onDeliveryStatus(callback) {
+    this.deliveryCallback = callback;
+  }
+
+  /**
+   * Stop the channel
+   */
+  async stop() {
+    this._stopping = true;
+    this.connected = false;
+    this.messageCallback = null;
+    this.deliveryCallback = null;
+    this.eventCallback = null;
+
+    for (const streamId of Array.from(this._streams.keys())) {
+      try { await this.abortStream(streamId); } catch (_) {}
+    }
+
+    if (this.outbox) {
+      try { this.outbox.close(); } catch (_) {}
+      this.outbox = null;
+    }
+
+    if (this.client && this.client.rpc && this.accountId) {
+      try {
+        await this._safeRpcCall('stopIo', () => this.client.rpc.stopIo(this.accountId));
+      } catch (e) {
+        // Ignore
+      }
+    }
+
+    if (this.host) {
+      const host = this.host;
+      this.host = null;
+      try { host.detach(this.accountId, this); } catch (_) {}
+      try { await host.release(); } catch (_) {}
     }
 
     this.client = null;
 
-    try { console.log('DeltaChat channel stopped'); } catch (_) {}
+    this.log.info('DeltaChat channel stopped');
   }
 
   /**
@@ -452,30 +2010,16 @@ class DeltaChatChannel {
   async _safeRpcCall(name, fn, opts = {}) {
     const timeout = opts.timeout || 15000;
     if (!this.client || !this.client.rpc) throw new Error('rpc-not-available');
-
-    let finished = false;
-    return new Promise((resolve, reject) => {
-      const to = setTimeout(() => {
-        if (finished) return;
-        finished = true;
-        const err = new Error(`rpc ${name} timeout`);
-        try { console.error(err.message); } catch (_) {}
-        reject(err);
-      }, timeout);
-
-      Promise.resolve().then(() => fn()).then((res) => {
-        if (finished) return;
-        finished = true;
-        clearTimeout(to);
-        resolve(res);
-      }).catch((e) => {
-        if (finished) return;
-        finished = true;
-        clearTimeout(to);
-        try { console.error(`rpc ${name} error:`, e && e.stack ? e.stack : e); } catch (_) {}
-        reject(e);
-      });
-    });
+    const started = process.hrtime.bigint();
+    try {
+      return await callWithTimeout(name, fn, timeout, { log: this.log, inflight: this.host ? this.host.inflight : null });
+    } catch (e) {
+      this.metrics.inc('deltachat_rpc_call_errors_total', { method: name });
+      if (e && e.code === 'RPC_TIMEOUT') this.metrics.inc('deltachat_rpc_call_timeouts_total', { method: name });
+      throw e;
+    } finally {
+      this.metrics.observe('deltachat_rpc_call_duration_seconds', { method: name }, Number(process.hrtime.bigint() - started) / 1e9);
+    }
   }
 }
 
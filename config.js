@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Runner configuration
+ *
+ * Sources, later ones win:
+ *   1. openclaw.json, channels.deltachat.config
+ *   2. environment: DELTACHAT_* variables below (e.g. from a systemd
+ *      EnvironmentFile); secrets also as <NAME>_FILE pointing at a file,
+ *      which fits systemd credentials
+ *   3. CLI flags: --config, plus the FLAGS below
+ *
+ * Per-account passwords: DELTACHAT_ACCOUNT_<ID>_PASSWORD (ID upper-cased,
+ * other characters replaced by '_').
+ */
+const ENV = [
+  ['DELTACHAT_EMAIL', 'email'],
+  ['DELTACHAT_PASSWORD', 'password'],
+  ['DELTACHAT_SERVER', 'server'],
+  ['DELTACHAT_ACCOUNTS_PATH', 'accountsPath'],
+  ['DELTACHAT_RPC_SERVER_PATH', 'rpcServerPath'],
+  ['DELTACHAT_SHIM_SOCKET', 'shim.socketPath'],
+  ['DELTACHAT_SHIM_TOKEN', 'shim.token'],
+  ['DELTACHAT_LOG_LEVEL', 'logging.level'],
+  ['DELTACHAT_LOG_FILE', 'logging.file'],
+  ['DELTACHAT_METRICS_PORT', 'metrics.port']
+];
+
+const FLAGS = {
+  'email': 'email',
+  'server': 'server',
+  'accounts-path': 'accountsPath',
+  'rpc-server-path': 'rpcServerPath',
+  'socket': 'shim.socketPath',
+  'log-level': 'logging.level',
+  'log-file': 'logging.file',
+  'metrics-port': 'metrics.port'
+};
+
+const SECRET_KEY = /pass(word)?|secret|token|_pw$/i;
+
+// Settings SIGHUP can change in place; everything else needs a restart
+const RELOADABLE = ['policy', 'logging.level', 'logging.redactBodies'];
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const CONTACT_REQUEST_ACTIONS = ['deliver', 'accept', 'reject', 'block'];
+const MARK_SEEN_MODES = ['receipt', 'reply', 'never'];
+
+// key -> type ('string', 'number', 'boolean', 'object', alternatives with '|')
+const SCHEMA = {
+  email: 'string',
+  password: 'string',
+  server: 'string',
+  coreConfig: 'object',
+  displayName: 'string',
+  label: 'string',
+  enabled: 'boolean',
+  accountsPath: 'string',
+  outgoingBlobDir: 'string',
+  rpcServerPath: 'string',
+  rpcStartupTimeout: 'number',
+  connectivityTimeout: 'number',
+  requireConnectivity: 'boolean',
+  restartInitialDelay: 'number',
+  restartMaxDelay: 'number',
+  restartMaxAttempts: 'number',
+  restartStableAfter: 'number',
+  outbox: 'object|boolean',
+  catchUp: 'object|boolean',
+  markSeen: 'string',
+  readReceipts: 'boolean',
+  policy: 'object',
+  streaming: 'object',
+  shim: 'object',
+  shimRetryWindow: 'number',
+  logging: 'object',
+  metrics: 'object',
+  accounts: 'object'
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super('invalid configuration:\n  - ' + errors.join('\n  - '));
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * --key value / --key=value / --flag; everything else is positional
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    if (eq > 0) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      flags[arg.slice(2)] = true;
+    }
+  }
+  return { flags, positionals };
+}
+
+function openclawHome(env) {
+  return env.OPENCLAW_HOME || path.join(env.HOME || '/root', '.openclaw');
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split('.');
+  let cur = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (!cur[key] || typeof cur[key] !== 'object') cur[key] = {};
+    cur = cur[key];
+  }
+  cur[keys[keys.length - 1]] = value;
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((cur, key) => (cur && typeof cur === 'object' ? cur[key] : undefined), obj);
+}
+
+// NAME, or the contents of NAME_FILE
+function envValue(env, name) {
+  if (env[name] != null && env[name] !== '') return env[name];
+  const file = env[`${name}_FILE`];
+  if (!file) return undefined;
+  try { return fs.readFileSync(file, 'utf8').trim(); } catch (e) {
+    throw new ConfigError([`${name}_FILE: cannot read ${file} (${e.code || e.message})`]);
+  }
+}
+
+function coerce(dotted, value) {
+  if (dotted === 'metrics.port') return Number(value);
+  return value;
+}
+
+/**
+ * Build the effective config
+ * Returns { configPath, channel, sources } where channel is
+ * the merged channels.deltachat.config and sources maps each overridden
+ * key to 'env' or 'flag'
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const flags = options.flags || parseArgs(options.argv || process.argv.slice(2)).flags;
+  const home = openclawHome(env);
+
+  const configPath = path.resolve(flags.config || env.OPENCLAW_CONFIG || path.join(home, 'openclaw.json'));
+
+  let fileCfg;
+  try {
+    fileCfg = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    const why = e.code === 'ENOENT' ? 'file not found' : e instanceof SyntaxError ? `invalid JSON (${e.message})` : (e.code || e.message);
+    throw new ConfigError([`${configPath}: ${why}`]);
+  }
+  const channel = JSON.parse(JSON.stringify((fileCfg.channels && fileCfg.channels.deltachat && fileCfg.channels.deltachat.config) || {}));
+  const sources = {};
+
+  for (const [name, key] of ENV) {
+    const value = envValue(env, name);
+    if (value === undefined) continue;
+    setPath(channel, key, coerce(key, value));
+    sources[key] = 'env';
+  }
+  if (channel.accounts && typeof channel.accounts === 'object') {
+    for (const id of Object.keys(channel.accounts)) {
+      const value = envValue(env, `DELTACHAT_ACCOUNT_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_PASSWORD`);
+      if (value === undefined || !channel.accounts[id]) continue;
+      channel.accounts[id].password = value;
+      sources[`accounts.${id}.password`] = 'env';
+    }
+  }
+  for (const flag of Object.keys(FLAGS)) {
+    if (flags[flag] === undefined || flags[flag] === true) continue;
+    setPath(channel, FLAGS[flag], coerce(FLAGS[flag], flags[flag]));
+    sources[FLAGS[flag]] = 'flag';
+  }
+
+  if (!getPath(channel, 'logging.file')) setPath(channel, 'logging.file', path.join(home, 'logs', 'deltachat.log'));
+
+  return { configPath, channel, sources };
+}
+
+// One channel config per OpenClaw account: channels.deltachat.config.accounts
+// entries plus the top-level email as 'default' (must match plugin.js listAccountIds)
+function accountConfigs(channelCfg) {
+  const { accounts, ...shared } = channelCfg;
+  const out = [];
+  if (shared.email) out.push({ ...shared, accountKey: 'default' });
+  if (accounts && typeof accounts === 'object') {
+    for (const id of Object.keys(accounts)) {
+      const acct = accounts[id];
+      if (!acct || acct.enabled === false || id === 'default' && shared.email) continue;
+      out.push({ ...shared, ...acct, accountKey: id });
+    }
+  }
+  if (out.length === 0) out.push({ ...shared, accountKey: 'default' });
+  return out;
+}
+
+function typeOk(types, value) {
+  return types.split('|').some((t) => {
+    if (t === 'object') return !!value && typeof value === 'object' && !Array.isArray(value);
+    if (t === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === t;
+  });
+}
+
+function checkKeys(cfg, where, errors, warnings) {
+  for (const key of Object.keys(cfg)) {
+    const type = SCHEMA[key];
+    if (!type) {
+      warnings.push(`${where}${key}: unknown setting, ignored`);
+      continue;
+    }
+    if (cfg[key] != null && !typeOk(type, cfg[key])) {
+      // secrets are named, never shown
+      const shown = SECRET_KEY.test(key) ? '' : ` (got ${JSON.stringify(cfg[key])})`;
+      errors.push(`${where}${key}: must be ${type.replace('|', ' or ')}${shown}`);
+    }
+  }
+}
+
+/**
+ * Validate the merged channel config; returns { errors, warnings }
+ */
+function validateConfig(channelCfg) {
+  const errors = [];
+  const warnings = [];
+  const cfg = channelCfg || {};
+
+  checkKeys(cfg, '', errors, warnings);
+  if (cfg.accounts && typeof cfg.accounts === 'object') {
+    for (const id of Object.keys(cfg.accounts)) {
+      const acct = cfg.accounts[id];
+      if (!acct || typeof acct !== 'object') {
+        errors.push(`accounts.${id}: must be an object`);
+        continue;
+      }
+      checkKeys(acct, `accounts.${id}.`, errors, warnings);
+    }
+  }
+
+  if (!cfg.rpcServerPath) {
+    errors.push('rpcServerPath: required (path to deltachat-rpc-server)');
+  } else if (typeof cfg.rpcServerPath === 'string') {
+    try { fs.accessSync(cfg.rpcServerPath, fs.constants.X_OK); } catch (e) {
+      errors.push(`rpcServerPath: ${cfg.rpcServerPath} is not an executable file (${e.code || e.message})`);
+    }
+  }
+
+  const accounts = accountConfigs(cfg);
+  for (const acct of accounts) {
+    const where = acct.accountKey === 'default' && cfg.email ? '' : `accounts.${acct.accountKey}.`;
+    if (!acct.email) {
+      errors.push(`${where}email: required (set channels.deltachat.config.email or accounts.<id>.email)`);
+    } else if (typeof acct.email === 'string' && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(acct.email)) {
+      errors.push(`${where}email: ${JSON.stringify(acct.email)} is not an email address`);
+    }
+    if (acct.markSeen != null && !MARK_SEEN_MODES.includes(acct.markSeen)) {
+      errors.push(`${where}markSeen: must be one of ${MARK_SEEN_MODES.join(', ')} (got ${JSON.stringify(acct.markSeen)})`);
+    }
+    if (!acct.password) {
+      warnings.push(`${where}password: not set, account ${acct.accountKey} only starts if it is already configured in accountsPath`);
+    }
+  }
+
+  const logging = cfg.logging || {};
+  if (logging.level != null && !LOG_LEVELS.includes(logging.level)) {
+    errors.push(`logging.level: must be one of ${LOG_LEVELS.join(', ')} (got ${JSON.stringify(logging.level)})`);
+  }
+  if (logging.format != null && !['json', 'text'].includes(logging.format)) {
+    errors.push(`logging.format: must be json or text (got ${JSON.stringify(logging.format)})`);
+  }
+
+  const metrics = cfg.metrics || {};
+  if (metrics.port != null && !(Number.isInteger(metrics.port) && metrics.port > 0 && metrics.port < 65536)) {
+    errors.push(`metrics.port: must be a TCP port number (got ${JSON.stringify(metrics.port)})`);
+  }
+
+  const shim = cfg.shim || {};
+  if (shim.socketMode != null && !/^0?[0-7]{3}$/.test(typeof shim.socketMode === 'number' ? shim.socketMode.toString(8) : String(shim.socketMode))) {
+    errors.push(`shim.socketMode: must be an octal mode such as "0660" (got ${JSON.stringify(shim.socketMode)})`);
+  }
+
+  const policies = [['policy', cfg.policy]].concat(accounts.filter(a => a.accountKey !== 'default' || !cfg.email).map(a => [`accounts.${a.accountKey}.policy`, cfg.accounts && cfg.accounts[a.accountKey] && cfg.accounts[a.accountKey].policy]));
+  for (const [where, policy] of policies) {
+    if (!policy || typeof policy !== 'object') continue;
+    if (policy.contactRequests != null && !CONTACT_REQUEST_ACTIONS.includes(policy.contactRequests)) {
+      errors.push(`${where}.contactRequests: must be one of ${CONTACT_REQUEST_ACTIONS.join(', ')}`);
+    }
+    for (const list of ['allow', 'deny']) {
+      if (policy[list] != null && !Array.isArray(policy[list])) errors.push(`${where}.${list}: must be a list of addresses or domains`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Copy with secret values replaced, safe to log or print
+ */
+function redactConfig(value, key = '') {
+  if (Array.isArray(value)) return value.map(v => redactConfig(v));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const k of Object.keys(value)) out[k] = redactConfig(value[k], k);
+    return out;
+  }
+  if (SECRET_KEY.test(key) && value != null && value !== '') return '[redacted]';
+  return value;
+}
+
+/**
+ * Settings that differ between two configs but cannot be applied by a reload
+ */
+function structuralChanges(oldCfg, newCfg) {
+  const changed = [];
+  const walk = (a, b, prefix) => {
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    for (const key of keys) {
+      const dotted = prefix ? `${prefix}.${key}` : key;
+      if (RELOADABLE.includes(dotted) || RELOADABLE.some(r => dotted.endsWith('.' + r))) continue;
+      const va = a ? a[key] : undefined;
+      const vb = b ? b[key] : undefined;
+      const objects = va && vb && typeof va === 'object' && typeof vb === 'object' && !Array.isArray(va) && !Array.isArray(vb);
+      if (objects) walk(va, vb, dotted);
+      else if (JSON.stringify(va) !== JSON.stringify(vb)) changed.push(dotted);
+    }
+  };
+  walk(oldCfg, newCfg, '');
+  return changed;
+}
+
+module.exports = {
+  ConfigError,
+  parseArgs,
+  loadConfig,
+  accountConfigs,
+  validateConfig,
+  redactConfig,
+  structuralChanges,
+  RELOADABLE
+};
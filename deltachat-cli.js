@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+const http = require('http');
+const { PROTOCOL_VERSION, PROTOCOL_HEADER, ShimError } = require('./shim-protocol');
+const { ConfigError, parseArgs, loadConfig, accountConfigs, validateConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const USAGE = `Usage: deltachat-cli <command> [arguments] [options]
+
+Commands:
+  start                      run the channel runner in the foreground
+  status                     runner and account status
+  send <chat> <text...>      send a text message to a chat id
+  chats                      list chats
+  contacts [query]           list contacts
+  invite [chat]              SecureJoin invite link (1:1, or for a group chat)
+  configure --email <addr>   set up or reconfigure the account; password from
+                             DELTACHAT_PASSWORD(_FILE), openclaw.json or --password-stdin
+  logout --yes               remove the account from accountsPath
+  tail-events [--since <id>] print shim events as JSON lines
+
+Options:
+  --account <id>    OpenClaw account (default: the first configured one)
+  --offline         do not use a running runner, open accountsPath directly
+  --json            machine-readable output
+  --verbose         show debug logs
+  --config, --socket, ... same configuration flags as the runner (see README)
+
+A running runner is used over its shim socket; without one, send, chats,
+contacts, invite and status open accountsPath themselves. configure and
+logout only work while the runner is stopped.`;
+
+class CliError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+// --- shim client ---
+
+function shimRequest(shim, method, pathName, body, timeout = 15000) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const headers = { [PROTOCOL_HEADER]: String(PROTOCOL_VERSION) };
+    if (shim.token) headers.Authorization = `Bearer ${shim.token}`;
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    const req = http.request({ socketPath: shim.socketPath, path: pathName, method, headers, timeout }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let json = null;
+        try { json = JSON.parse(data); } catch (_) {}
+        resolve({ status: res.statusCode, body: json });
+      });
+    });
+    req.on('timeout', () => req.destroy(new CliError(`shim request ${pathName} timed out`)));
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+let rpcId = 0;
+
+async function shimCall(shim, account, method, params = []) {
+  const { status, body } = await shimRequest(shim, 'POST', '/rpc', {
+    jsonrpc: '2.0',
+    id: ++rpcId,
+    method,
+    params,
+    ...(account != null && { account })
+  });
+  if (!body) throw new CliError(`shim answered HTTP ${status}`);
+  if (body.error) throw new ShimError(body.error);
+  return body.result;
+}
+
+/**
+ * hello result of a running runner, or null when nothing listens on the socket
+ */
+async function probeRunner(shim) {
+  try {
+    return await shimCall(shim, null, 'hello');
+  } catch (e) {
+    // the runner is there but refuses us (token, protocol): report that
+    if (e instanceof ShimError) throw e;
+    return null;
+  }
+}
+
+// --- offline access ---
+
+/**
+ * DeltaChatChannel on accountsPath, initialized unless init === false
+ */
+async function openChannel(ctx, options = {}) {
+  // required lazily: online commands do not need @deltachat/jsonrpc-client
+  const { DeltaChatChannel } = require('./channel');
+  const channel = new DeltaChatChannel({ ...ctx.account, ...options.config }, { logger: ctx.logger });
+  if (options.init === false) return channel;
+  await channel.init();
+  if (!channel.connected) {
+    await channel.stop().catch(() => {});
+    throw new CliError(`cannot open account ${ctx.accountKey} (see errors above)`);
+  }
+  return channel;
+}
+
+async function withChannel(ctx, options, fn) {
+  const channel = await openChannel(ctx, options);
+  try {
+    return await fn(channel);
+  } finally {
+    await channel.stop().catch(() => {});
+  }
+}
+
+// reads do not need the network; do not wait for it
+const READ_ONLY = { config: { connectivityTimeout: 1000, requireConnectivity: false, outbox: false } };
+
+/**
+ * Offline variant of a channel method call
+ */
+function offlineCall(ctx, method, params) {
+  return withChannel(ctx, READ_ONLY, channel => channel[method](...params));
+}
+
+function waitForDelivery(channel, msgId, timeout) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), timeout);
+    channel.onDeliveryStatus((update) => {
+      if (update.msgId !== String(msgId) || update.status === 'read') return;
+      clearTimeout(timer);
+      resolve(update.status);
+    });
+  });
+}
+
+// --- output ---
+
+function print(ctx, value, human) {
+  if (ctx.json || !human) {
+    console.log(JSON.stringify(value, null, 2));
+    return;
+  }
+  const text = human(value);
+  if (text) console.log(text);
+}
+
+function table(rows) {
+  return rows.map(row => row.map(v => (v == null ? '' : String(v))).join('\t')).join('\n');
+}
+
+function describeStatus(status) {
+  const parts = [status.connected ? 'connected' : 'not connected'];
+  if (status.account && status.account.addr) parts.push(status.account.addr);
+  if (status.connectivity && status.connectivity.state) parts.push(`connectivity ${status.connectivity.state}`);
+  if (status.outbox) parts.push(`outbox ${status.outbox.depth}`);
+  if (status.rpc) parts.push(`rpc restarts ${status.rpc.restartCount}`);
+  if (status.error) parts.push(status.error);
+  return parts.join(', ');
+}
+
+// --- commands ---
+
+async function requireStopped(ctx) {
+  const hello = await probeRunner(ctx.shim);
+  if (hello) {
+    throw new CliError(`the runner is running (pid ${hello.pid}, ${ctx.shim.socketPath}); stop it first, ${ctx.command} needs accountsPath to itself`);
+  }
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => data += chunk);
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+const COMMANDS = {
+  async status(ctx) {
+    if (ctx.runner) {
+      const { status, body } = await shimRequest(ctx.shim, 'GET', '/health');
+      if (!body) throw new CliError(`/health answered HTTP ${status}`);
+      print(ctx, { runner: 'running', ...body }, (h) => {
+        const lines = [`runner: running (pid ${h.pid}, protocol ${h.protocol}, up ${Math.round(h.uptimeMs / 1000)}s, ${h.sseClients} event clients)`];
+        for (const id of Object.keys(h.accounts || {})) lines.push(`${id}: ${describeStatus(h.accounts[id])}`);
+        return lines.join('\n');
+      });
+      if (!body.ok) process.exitCode = 1;
+      return;
+    }
+
+    const accounts = {};
+    for (const acct of accountConfigs(ctx.channelCfg)) {
+      const channel = await openChannel({ ...ctx, account: acct }, { init: false });
+      accounts[acct.accountKey] = await channel.getStoredAccount();
+    }
+    print(ctx, { runner: 'stopped', socketPath: ctx.shim.socketPath, accounts }, (s) => {
+      const lines = [`runner: not running (${s.socketPath})`];
+      for (const id of Object.keys(s.accounts)) {
+        const a = s.accounts[id];
+        lines.push(`${id}: ${!a ? 'not set up' : `${a.configured ? 'configured' : 'not configured'}${a.addr ? ', ' + a.addr : ''} (DeltaChat account ${a.dcAccountId})`}`);
+      }
+      return lines.join('\n');
+    });
+  },
+
+  async send(ctx, args) {
+    const [chatId, ...words] = args;
+    const text = words.join(' ');
+    if (!chatId || !text) throw new CliError('usage: send <chat> <text...>', 2);
+
+    if (ctx.runner) {
+      const result = await shimCall(ctx.shim, ctx.accountKey, 'send', [chatId, text]);
+      print(ctx, result, r => `sent, message ${r.id}`);
+      return;
+    }
+
+    await withChannel(ctx, {}, async (channel) => {
+      const result = await channel.send(chatId, text);
+      // without the runner nobody keeps IO running: wait for SMTP here
+      const delivered = await waitForDelivery(channel, result.id, Number(ctx.flags.wait) > 0 ? Number(ctx.flags.wait) * 1000 : 30000);
+      print(ctx, { ...result, status: delivered || 'pending' }, (r) => {
+        if (r.status === 'delivered') return `sent, message ${r.id}`;
+        if (r.status === 'failed') return `message ${r.id} failed`;
+        return `message ${r.id} is queued in DeltaChat and goes out when the runner runs`;
+      });
+      if (delivered === 'failed') process.exitCode = 1;
+    });
+  },
+
+  async chats(ctx) {
+    const chats = ctx.runner
+      ? await shimCall(ctx.shim, ctx.accountKey, 'listChats')
+      : await offlineCall(ctx, 'listChats', []);
+    print(ctx, chats, list => table(list.map(c => [c.id, c.type, c.name])));
+  },
+
+  async contacts(ctx, args) {
+    const options = args[0] ? { query: args[0] } : {};
+    const contacts = ctx.runner
+      ? await shimCall(ctx.shim, ctx.accountKey, 'listContacts', [options])
+      : await offlineCall(ctx, 'listContacts', [options]);
+    print(ctx, contacts, list => table(list.map(c => [c.contactId, c.address, c.name, c.isBlocked ? 'blocked' : ''])));
+  },
+
+  async invite(ctx, args) {
+    const params = args[0] ? [args[0]] : [];
+    const invite = ctx.runner
+      ? await shimCall(ctx.shim, ctx.accountKey, 'getInvite', params)
+      : await offlineCall(ctx, 'getInvite', params);
+    print(ctx, { chatId: invite.chatId, qr: invite.qr, url: invite.url }, i => i.url || i.qr);
+  },
+
+  async configure(ctx) {
+    await requireStopped(ctx);
+    // --email is meant for the selected account, not the top-level one
+    const email = (typeof ctx.flags.email === 'string' && ctx.flags.email) || ctx.account.email;
+    let password = ctx.account.password;
+    if (ctx.flags['password-stdin']) password = (await readStdin()).trim();
+    if (!email) throw new CliError('configure: --email is required', 2);
+    if (!password) throw new CliError('configure: no password (set DELTACHAT_PASSWORD or DELTACHAT_PASSWORD_FILE, or use --password-stdin)', 2);
+
+    const settings = { email, password, server: ctx.account.server || null };
+    const before = await (await openChannel(ctx, { init: false })).getStoredAccount();
+    // a new account is configured by init() itself; an existing one is reconfigured
+    const self = await withChannel(ctx, { config: settings }, channel => (before && before.configured ? channel.reconfigure(settings) : channel.getSelf()));
+    print(ctx, self, s => `${ctx.accountKey}: configured as ${s.email}`);
+  },
+
+  async logout(ctx) {
+    await requireStopped(ctx);
+    const channel = await openChannel(ctx, { init: false });
+    const stored = await channel.getStoredAccount();
+    if (!stored) {
+      print(ctx, { removed: null }, () => `${ctx.accountKey}: no account in ${ctx.account.accountsPath || 'accountsPath'}`);
+      return;
+    }
+    if (!ctx.flags.yes) {
+      throw new CliError(`this deletes ${stored.addr || 'the account'} (DeltaChat account ${stored.dcAccountId}) and its messages from accountsPath; run again with --yes`);
+    }
+    const removed = await channel.logout();
+    print(ctx, { removed }, () => `${ctx.accountKey}: removed DeltaChat account ${removed}`);
+  },
+
+  async 'tail-events'(ctx) {
+    if (!ctx.runner) throw new CliError(`the runner is not running (${ctx.shim.socketPath})`);
+    const headers = { [PROTOCOL_HEADER]: String(PROTOCOL_VERSION) };
+    if (ctx.shim.token) headers.Authorization = `Bearer ${ctx.shim.token}`;
+    if (ctx.flags.since && ctx.flags.since !== true) headers['Last-Event-ID'] = String(ctx.flags.since);
+
+    await new Promise((resolve, reject) => {
+      const req = http.request({ socketPath: ctx.shim.socketPath, path: '/events', method: 'GET', headers }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new CliError(`/events answered HTTP ${res.statusCode}`));
+          return;
+        }
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let sep;
+          while ((sep = buffer.indexOf('\n\n')) >= 0) {
+            const frame = buffer.slice(0, sep);
+            buffer = buffer.slice(sep + 2);
+            let id = null;
+            const data = [];
+            for (const line of frame.split('\n')) {
+              if (line.startsWith('id:')) id = line.slice(3).trim();
+              else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+            }
+            if (data.length === 0) continue;
+            let event;
+            try { event = JSON.parse(data.join('\n')); } catch (_) { continue; }
+            console.log(JSON.stringify({ id, ...event }));
+          }
+        });
+        res.on('end', () => reject(new CliError('the runner closed the event stream')));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+};
+
+async function run(argv) {
+  const { flags, positionals } = parseArgs(argv);
+  const [command, ...args] = positionals;
+
+  if (!command || command === 'help' || flags.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (command === 'start') {
+    // the runner parses the same flags
+    const { main } = require('./run-deltachat-channel');
+    const rest = argv.slice();
+    rest.splice(rest.indexOf('start'), 1);
+    await main(rest);
+    return;
+  }
+
+  const handler = Object.prototype.hasOwnProperty.call(COMMANDS, command) ? COMMANDS[command] : null;
+  if (!handler) throw new CliError(`unknown command ${command}\n\n${USAGE}`, 2);
+
+  const loaded = loadConfig({ flags });
+  const channelCfg = loaded.channel;
+  const accounts = accountConfigs(channelCfg);
+  const accountKey = flags.account && flags.account !== true ? String(flags.account) : null;
+  const account = accountKey ? accounts.find(a => a.accountKey === accountKey) : accounts[0];
+  if (!account) throw new CliError(`unknown account ${accountKey} (configured: ${accounts.map(a => a.accountKey).join(', ')})`, 2);
+
+  const { shimSettings } = require('./run-deltachat-channel');
+  const ctx = {
+    command,
+    flags,
+    channelCfg,
+    account,
+    accountKey: account.accountKey,
+    shim: shimSettings(channelCfg),
+    json: !!flags.json,
+    offline: !!flags.offline,
+    logger: createLogger({ level: flags.verbose ? 'debug' : 'warn', console: true })
+  };
+
+  const needsRunner = command === 'tail-events';
+  ctx.runner = ctx.offline && !needsRunner ? null : await probeRunner(ctx.shim);
+
+  // offline work needs a usable rpcServerPath, accountsPath, ...
+  if (!ctx.runner && !needsRunner) {
+    const { errors } = validateConfig(channelCfg);
+    if (errors.length > 0) throw new ConfigError(errors.map(e => `${loaded.configPath}: ${e}`));
+  }
+
+  await handler(ctx, args);
+}
+
+run(process.argv.slice(2)).catch((e) => {
+  if (e instanceof ConfigError) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  if (e instanceof ShimError) {
+    console.error(`runner: ${e.code}: ${e.message}`);
+    process.exit(1);
+  }
+  console.error(e instanceof CliError ? e.message : (e && e.stack) || String(e));
+  process.exit(e instanceof CliError ? e.exitCode : 1);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DeltaChatChannel } = require('./channel');
+const { DevMailServer } = require('./dev-mail-server');
+const { parseArgs } = require('./config');
+
+/**
+ * dev-conversation - walk two real accounts through a conversation on the
+ * in-process dev mail server
+ *
+ * Starts DevMailServer on localhost, configures a "bot" DeltaChatChannel and
+ * a "human" one against it (plain IMAP/SMTP via coreConfig) and plays the
+ * human side step by step:
+ *   1. securejoin: the human joins the bot's invite
+ *   2. human -> bot, checked for encryption and a verified sender
+ *   3. bot answers quoting it (replyTo), the human sees the quote
+ *   4. bot creates a group with the human, both write and quote there
+ * Each step prints ok/FAIL; the exit code is 1 when one failed.
+ *
+ * Needs a real deltachat-rpc-server (the fake one has no network side):
+ *   node dev-conversation.js --rpc-server-path /path/to/deltachat-rpc-server
+ * Options: --timeout <ms per step> (default 60000), --keep (leave the
+ * account dirs in place), --verbose (channel logs at debug).
+ *
+ * test/dev-conversation.test.js runs it under npm test when
+ * DELTACHAT_RPC_SERVER_PATH is set and is skipped otherwise.
+ */
+
+const BOT = { email: 'bot@chat.test', password: 'bot-dev-password' };
+const HUMAN = { email: 'human@chat.test', password: 'human-dev-password' };
+
+/**
+ * Messages and events of one channel, awaitable by predicate
+ */
+class Inbox {
+  constructor(channel) {
+    this.items = [];
+    this.waiters = [];
+    channel.onMessage(message => this._push({ type: 'message', payload: message }));
+    channel.onEvent(event => this._push(event));
+  }
+
+  _push(item) {
+    this.items.push(item);
+    for (const waiter of this.waiters.slice()) {
+      if (!waiter.match(item)) continue;
+      this.waiters.splice(this.waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(item.payload);
+    }
+  }
+
+  wait(what, match, timeout) {
+    const found = this.items.find(match);
+    if (found) return Promise.resolve(found.payload);
+    return new Promise((resolve, reject) => {
+      const waiter = { match, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`timed out waiting for ${what}`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  message(text, timeout) {
+    return this.wait(`message "${text}"`, i => i.type === 'message' && i.payload.text === text, timeout);
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { flags } = parseArgs(argv);
+  const rpcServerPath = flags['rpc-server-path'] || process.env.DELTACHAT_RPC_SERVER_PATH;
+  if (!rpcServerPath) {
+    console.error('usage: dev-conversation.js --rpc-server-path <deltachat-rpc-server> [--timeout ms] [--keep] [--verbose]');
+    return 2;
+  }
+  const timeout = Number(flags.timeout) || 60000;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deltachat-dev-'));
+  const logging = { level: flags.verbose ? 'debug' : 'warn' };
+
+  const mail = new DevMailServer({ log: flags.verbose ? msg => console.log(msg) : undefined });
+  await mail.start();
+  console.log(`mail server: IMAP 127.0.0.1:${mail.imapPort}, SMTP 127.0.0.1:${mail.smtpPort}; accounts in ${workDir}`);
+
+  const open = (who, accountKey) => new DeltaChatChannel({
+    ...mail.accountConfig(who.email, who.password),
+    accountKey,
+    accountsPath: path.join(workDir, accountKey),
+    rpcServerPath,
+    logging
+  });
+  const bot = open(BOT, 'bot');
+  const human = open(HUMAN, 'human');
+  const botInbox = new Inbox(bot);
+  const humanInbox = new Inbox(human);
+
+  let failed = 0;
+  const step = async (name, fn) => {
+    try {
+      const detail = await fn();
+      console.log(`ok    ${name}${detail ? ' - ' + detail : ''}`);
+      return true;
+    } catch (e) {
+      failed++;
+      console.log(`FAIL  ${name} - ${e.message}`);
+      return false;
+    }
+  };
+  const check = (cond, what) => {
+    if (!cond) throw new Error(what);
+  };
+
+  try {
+    const started = await step('configure both accounts', async () => {
+      await Promise.all([bot.init(), human.init()]);
+      check(bot.connected && human.connected, 'channels not connected');
+    });
+    if (!started) return 1;
+
+    let direct = null;
+    await step('securejoin: human joins the bot invite', async () => {
+      const invite = await bot.getInvite();
+      const joined = await human.joinInvite(invite.qr);
+      direct = joined.chatId;
+      const result = await Promise.race([
+        humanInbox.wait('securejoin on the human side', i => i.type === 'securejoin', timeout),
+        botInbox.wait('securejoin on the bot side', i => i.type === 'securejoin' && i.payload.stage === 'failed', timeout)
+      ]);
+      check(result.stage === 'joined', `securejoin ${result.role} ${result.stage}`);
+      return `chat ${direct}`;
+    });
+
+    let first = null;
+    let firstOnHuman = null;
+    await step('human -> bot arrives encrypted from a verified contact', async () => {
+      check(direct, 'no direct chat');
+      firstOnHuman = await human.send(direct, 'hello bot');
+      first = await botInbox.message('hello bot', timeout);
+      check(first.raw && first.raw.showPadlock, 'message not encrypted');
+      check(first.from.isVerified, `sender ${first.from.address} not verified`);
+      return `from ${first.from.address}`;
+    });
+
+    await step('bot replies quoting it, the human sees the quote', async () => {
+      check(first, 'nothing to reply to');
+      await bot.send(first.chat.id, 'hello human', { replyTo: first.id });
+      const reply = await humanInbox.message('hello human', timeout);
+      // the quote points at the human's own copy of the message
+      check(reply.replyTo === String(firstOnHuman.id), `replyTo ${reply.replyTo}, sent ${firstOnHuman.id}`);
+    });
+
+    let groupOnHuman = null;
+    let welcomeOnBot = null;
+    await step('bot creates a group with the human', async () => {
+      const group = await bot.createGroup('dev group', { members: [HUMAN.email] });
+      welcomeOnBot = await bot.send(group.id, 'welcome to the group');
+      const welcome = await humanInbox.message('welcome to the group', timeout);
+      check(welcome.chat.type === 'group', `arrived in a ${welcome.chat.type} chat`);
+      groupOnHuman = welcome;
+      return `bot chat ${group.id}, human chat ${welcome.chat.id}`;
+    });
+
+    await step('human answers in the group quoting the bot', async () => {
+      check(groupOnHuman, 'no group on the human side');
+      await human.send(groupOnHuman.chat.id, 'thanks', { replyTo: groupOnHuman.id });
+      const answer = await botInbox.message('thanks', timeout);
+      check(answer.chat.type === 'group', `arrived in a ${answer.chat.type} chat`);
+      check(answer.replyTo === String(welcomeOnBot.id), `replyTo ${answer.replyTo}, sent ${welcomeOnBot.id}`);
+      check(answer.raw.showPadlock, 'group message not encrypted');
+    });
+  } finally {
+    await Promise.all([bot.stop(), human.stop()].map(p => p.catch(() => {})));
+    await mail.stop();
+    if (flags.keep) console.log(`accounts kept in ${workDir}`);
+    else fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(failed ? `${failed} step(s) failed` : 'all steps passed');
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().then(code => process.exit(code), (e) => {
+    console.error(e.stack || e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
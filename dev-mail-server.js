@@ -0,0 +1,713 @@
+#!/usr/bin/env node
+const net = require('net');
+const { EventEmitter } = require('events');
+
+/**
+ * DevMailServer - minimal SMTP + IMAP server on localhost for end-to-end
+ * runs of real deltachat-rpc-server accounts without network
+ *
+ * Plain text only (no TLS): configure accounts with coreConfig
+ * { mail_port, mail_security: 3, send_port, send_security: 3 } and
+ * server '127.0.0.1' (see accountConfig()). Like a chatmail relay, the
+ * first login creates the mailbox with that password. Everything lives
+ * in memory; any recipient gets a mailbox on delivery.
+ *
+ * IMAP covers what a Delta Chat core needs: LOGIN, LIST, CREATE, SELECT,
+ * (UID) FETCH/STORE/SEARCH/COPY/MOVE/EXPUNGE, APPEND and IDLE. SMTP
+ * covers EHLO, AUTH PLAIN/LOGIN, MAIL, RCPT and DATA.
+ *
+ * Not a general mail server: no TLS, no relaying, no persistence.
+ */
+class DevMailServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.host = options.host || '127.0.0.1';
+    this.imapPort = options.imapPort || 0;
+    this.smtpPort = options.smtpPort || 0;
+    this.log = options.log || (() => {});
+    // address -> { password, folders: Map(name -> Folder) }
+    this.users = new Map();
+    this._servers = [];
+    this._sockets = new Set();
+    this._uidValidity = Math.floor(Date.now() / 1000);
+  }
+
+  async start() {
+    const listen = (handler, port) => new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => {
+        this._sockets.add(socket);
+        socket.on('close', () => this._sockets.delete(socket));
+        socket.on('error', () => {});
+        handler(socket);
+      });
+      server.once('error', reject);
+      server.listen(port, this.host, () => resolve(server));
+    });
+    const imap = await listen(s => new ImapSession(this, s), this.imapPort);
+    const smtp = await listen(s => new SmtpSession(this, s), this.smtpPort);
+    this._servers.push(imap, smtp);
+    this.imapPort = imap.address().port;
+    this.smtpPort = smtp.address().port;
+    this.log(`dev mail server: IMAP ${this.host}:${this.imapPort}, SMTP ${this.host}:${this.smtpPort}`);
+    return this;
+  }
+
+  async stop() {
+    for (const socket of this._sockets) socket.destroy();
+    await Promise.all(this._servers.map(s => new Promise(resolve => s.close(() => resolve()))));
+    this._servers = [];
+  }
+
+  /**
+   * Channel config pointing an account at this server
+   */
+  accountConfig(email, password) {
+    return {
+      email,
+      password,
+      server: this.host,
+      coreConfig: {
+        mail_port: this.imapPort,
+        mail_security: 3,
+        send_port: this.smtpPort,
+        send_security: 3
+      }
+    };
+  }
+
+  /**
+   * Mailbox for address; created on first use when password is given
+   */
+  user(address, password = null) {
+    const addr = String(address).toLowerCase();
+    const user = this.users.get(addr);
+    if (!user && password != null) return this._mailbox(addr, password);
+    return user || null;
+  }
+
+  _mailbox(address, password) {
+    const addr = String(address).toLowerCase();
+    const user = { address: addr, password, folders: new Map() };
+    user.folders.set('INBOX', this._folder('INBOX'));
+    this.users.set(addr, user);
+    this.log(`dev mail server: created mailbox ${addr}`);
+    return user;
+  }
+
+  authenticate(address, password) {
+    const user = this.user(address, password);
+    if (user && user.password === null) user.password = password;
+    return user && user.password === password ? user : null;
+  }
+
+  _folder(name) {
+    return { name, uidValidity: this._uidValidity, uidNext: 1, messages: [] };
+  }
+
+  folder(user, name, create = false) {
+    const key = /^inbox$/i.test(name) ? 'INBOX' : name;
+    if (!user.folders.has(key) && create) user.folders.set(key, this._folder(key));
+    return user.folders.get(key) || null;
+  }
+
+  /**
+   * Store a message in a folder and wake IDLE sessions
+   */
+  append(user, folder, data, flags = []) {
+    const message = { uid: folder.uidNext++, flags: new Set(flags), date: new Date(), data };
+    folder.messages.push(message);
+    this.emit('exists', user, folder);
+    return message;
+  }
+
+  deliver(from, recipients, data) {
+    for (const rcpt of recipients) {
+      // mailbox without a password yet: the first login sets it
+      const user = this.user(rcpt, null) || this._mailbox(rcpt, null);
+      this.append(user, this.folder(user, 'INBOX'), data);
+      this.log(`dev mail server: ${from} -> ${rcpt} (${data.length} bytes)`);
+    }
+  }
+}
+
+// --- IMAP ---
+
+const CRLF = '\r\n';
+const SYSTEM_FLAGS = '\\Answered \\Flagged \\Deleted \\Seen \\Draft';
+
+/**
+ * Split an IMAP command line into tokens: atoms (brackets kept whole, e.g.
+ * BODY.PEEK[HEADER.FIELDS (FROM)]), quoted strings, literals and lists
+ */
+function tokenize(parts) {
+  const root = [];
+  const stack = [root];
+  for (const part of parts) {
+    if (Buffer.isBuffer(part)) {
+      stack[stack.length - 1].push(part);
+      continue;
+    }
+    let i = 0;
+    while (i < part.length) {
+      const ch = part[i];
+      if (ch === ' ') { i++; continue; }
+      if (ch === '(') { const list = []; stack[stack.length - 1].push(list); stack.push(list); i++; continue; }
+      if (ch === ')') { if (stack.length > 1) stack.pop(); i++; continue; }
+      if (ch === '"') {
+        let out = '';
+        i++;
+        while (i < part.length && part[i] !== '"') {
+          if (part[i] === '\\' && i + 1 < part.length) i++;
+          out += part[i++];
+        }
+        i++;
+        stack[stack.length - 1].push(out);
+        continue;
+      }
+      let atom = '';
+      let depth = 0;
+      while (i < part.length) {
+        const c = part[i];
+        if (c === '[') depth++;
+        if (c === ']') depth--;
+        if (depth === 0 && (c === ' ' || c === '(' || c === ')')) break;
+        atom += c;
+        i++;
+      }
+      stack[stack.length - 1].push(atom);
+    }
+  }
+  return root;
+}
+
+function quote(s) {
+  return '"' + String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+function imapDate(d) {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const p = n => String(n).padStart(2, '0');
+  return `${p(d.getUTCDate())}-${months[d.getUTCMonth()]}-${d.getUTCFullYear()} ${p(d.getUTCHours())}:${p(d.getUTCMinutes())}:${p(d.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Messages matching a sequence set ('1:*', '3,5:7') by uid or position
+ */
+function selectSet(messages, set, byUid) {
+  const max = messages.length === 0 ? 0 : (byUid ? messages[messages.length - 1].uid : messages.length);
+  const ranges = String(set).split(',').map((r) => {
+    const [a, b] = r.split(':').map(x => (x === '*' ? max : Number(x)));
+    const lo = b === undefined ? a : Math.min(a, b);
+    const hi = b === undefined ? a : Math.max(a, b);
+    return [lo, hi];
+  });
+  return messages.filter((m, i) => {
+    const n = byUid ? m.uid : i + 1;
+    return ranges.some(([lo, hi]) => n >= lo && n <= hi);
+  });
+}
+
+function splitMessage(data) {
+  const text = data.toString('binary');
+  const end = text.indexOf('\r\n\r\n');
+  if (end < 0) return { header: data, body: Buffer.alloc(0) };
+  return { header: Buffer.from(text.slice(0, end + 4), 'binary'), body: Buffer.from(text.slice(end + 4), 'binary') };
+}
+
+function headerFields(header, fields, not) {
+  const wanted = new Set(fields.map(f => String(f).toLowerCase()));
+  const lines = header.toString('binary').split('\r\n');
+  const out = [];
+  let keep = false;
+  for (const line of lines) {
+    if (line === '') continue;
+    if (/^[ \t]/.test(line)) {
+      if (keep) out.push(line);
+      continue;
+    }
+    const name = line.slice(0, line.indexOf(':')).toLowerCase();
+    keep = wanted.has(name) !== !!not;
+    if (keep) out.push(line);
+  }
+  return Buffer.from(out.join('\r\n') + '\r\n\r\n', 'binary');
+}
+
+class ImapSession {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.user = null;
+    this.folder = null;
+    this.readOnly = false;
+    this.known = 0;
+    this.idleTag = null;
+    this.buffer = Buffer.alloc(0);
+    this.parts = [];
+    this.literal = 0;
+
+    this._onExists = (user, folder) => {
+      if (user === this.user && folder === this.folder && this.idleTag) this._announce();
+    };
+    server.on('exists', this._onExists);
+    socket.on('close', () => server.removeListener('exists', this._onExists));
+    socket.on('data', chunk => this._read(chunk));
+    this.send('* OK [CAPABILITY IMAP4rev1 IDLE MOVE] dev mail server ready');
+  }
+
+  send(line) {
+    if (!this.socket.destroyed) this.socket.write(line + CRLF);
+  }
+
+  _read(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      if (this.literal > 0) {
+        if (this.buffer.length < this.literal) return;
+        this.parts.push(this.buffer.subarray(0, this.literal));
+        this.buffer = this.buffer.subarray(this.literal);
+        this.literal = 0;
+        continue;
+      }
+      const nl = this.buffer.indexOf('\r\n');
+      if (nl < 0) return;
+      const line = this.buffer.subarray(0, nl).toString('utf8');
+      this.buffer = this.buffer.subarray(nl + 2);
+
+      const m = /\{(\d+)(\+?)\}$/.exec(line);
+      if (m) {
+        this.parts.push(line.slice(0, m.index));
+        this.literal = Number(m[1]);
+        if (!m[2]) this.send('+ Ready for literal data');
+        continue;
+      }
+      this.parts.push(line);
+      const parts = this.parts;
+      this.parts = [];
+      try {
+        this._command(parts);
+      } catch (e) {
+        this.server.log(`dev mail server: IMAP error ${e.message}`);
+      }
+    }
+  }
+
+  _command(parts) {
+    if (this.idleTag) {
+      if (String(parts[0]).trim().toUpperCase() === 'DONE') {
+        const tag = this.idleTag;
+        this.idleTag = null;
+        this.send(`${tag} OK IDLE terminated`);
+      }
+      return;
+    }
+    const tokens = tokenize(parts);
+    const tag = tokens.shift();
+    let command = String(tokens.shift() || '').toUpperCase();
+    let byUid = false;
+    if (command === 'UID') {
+      byUid = true;
+      command = String(tokens.shift() || '').toUpperCase();
+    }
+    const ok = text => this.send(`${tag} OK ${text || command + ' completed'}`);
+    const no = text => this.send(`${tag} NO ${text}`);
+    const bad = text => this.send(`${tag} BAD ${text}`);
+
+    const needAuth = !['CAPABILITY', 'NOOP', 'LOGOUT', 'LOGIN', 'AUTHENTICATE', 'ID'].includes(command);
+    if (needAuth && !this.user) return no('not authenticated');
+    const needFolder = ['FETCH', 'STORE', 'SEARCH', 'COPY', 'MOVE', 'EXPUNGE', 'CLOSE', 'UNSELECT'].includes(command);
+    if (needFolder && !this.folder) return no('no mailbox selected');
+
+    switch (command) {
+      case 'CAPABILITY':
+        this.send('* CAPABILITY IMAP4rev1 IDLE MOVE');
+        return ok();
+      case 'NOOP':
+      case 'CHECK':
+        this._announce();
+        return ok();
+      case 'ID':
+        this.send('* ID NIL');
+        return ok();
+      case 'ENABLE':
+        return ok();
+      case 'LOGOUT':
+        this.send('* BYE logging out');
+        ok();
+        this.socket.end();
+        return;
+      case 'LOGIN': {
+        const user = this.server.authenticate(String(tokens[0]), String(tokens[1]));
+        if (!user) return no('[AUTHENTICATIONFAILED] invalid credentials');
+        this.user = user;
+        return ok('[CAPABILITY IMAP4rev1 IDLE MOVE] logged in');
+      }
+      case 'LIST':
+      case 'LSUB': {
+        const pattern = String(tokens[1] || '');
+        if (pattern === '') {
+          this.send(`* ${command} (\\Noselect) "/" ""`);
+          return ok();
+        }
+        const re = new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/%/g, '[^/]*') + '$', 'i');
+        for (const name of this.user.folders.keys()) {
+          if (re.test(name)) this.send(`* ${command} (\\HasNoChildren) "/" ${quote(name)}`);
+        }
+        return ok();
+      }
+      case 'CREATE':
+        if (this.server.folder(this.user, String(tokens[0]))) return no('[ALREADYEXISTS] mailbox exists');
+        this.server.folder(this.user, String(tokens[0]), true);
+        return ok();
+      case 'SUBSCRIBE':
+      case 'UNSUBSCRIBE':
+        return ok();
+      case 'SELECT':
+      case 'EXAMINE': {
+        const folder = this.server.folder(this.user, String(tokens[0]));
+        if (!folder) return no('[NONEXISTENT] no such mailbox');
+        this.folder = folder;
+        this.readOnly = command === 'EXAMINE';
+        this.known = folder.messages.length;
+        this.send(`* FLAGS (${SYSTEM_FLAGS})`);
+        this.send(`* OK [PERMANENTFLAGS (${SYSTEM_FLAGS} \\*)] flags permitted`);
+        this.send(`* ${folder.messages.length} EXISTS`);
+        this.send('* 0 RECENT');
+        this.send(`* OK [UIDVALIDITY ${folder.uidValidity}] UIDs valid`);
+        this.send(`* OK [UIDNEXT ${folder.uidNext}] predicted next UID`);
+        return ok(`[${this.readOnly ? 'READ-ONLY' : 'READ-WRITE'}] ${command} completed`);
+      }
+      case 'STATUS': {
+        const folder = this.server.folder(this.user, String(tokens[0]));
+        if (!folder) return no('[NONEXISTENT] no such mailbox');
+        const items = (Array.isArray(tokens[1]) ? tokens[1] : []).map(i => String(i).toUpperCase());
+        const values = {
+          MESSAGES: folder.messages.length,
+          UIDNEXT: folder.uidNext,
+          UIDVALIDITY: folder.uidValidity,
+          UNSEEN: folder.messages.filter(m => !m.flags.has('\\Seen')).length,
+          RECENT: 0
+        };
+        this.send(`* STATUS ${quote(folder.name)} (${items.filter(i => i in values).map(i => `${i} ${values[i]}`).join(' ')})`);
+        return ok();
+      }
+      case 'FETCH':
+        this._fetch(tokens[0], tokens[1], byUid);
+        this._announce();
+        return ok();
+      case 'STORE':
+        this._store(tokens[0], String(tokens[1]), tokens[2], byUid);
+        return ok();
+      case 'SEARCH': {
+        const found = this._search(tokens, byUid);
+        this.send(`* SEARCH${found.map(n => ' ' + n).join('')}`);
+        return ok();
+      }
+      case 'COPY':
+      case 'MOVE': {
+        const target = this.server.folder(this.user, String(tokens[1]));
+        if (!target) return no('[TRYCREATE] no such mailbox');
+        const picked = selectSet(this.folder.messages, tokens[0], byUid);
+        for (const m of picked) this.server.append(this.user, target, m.data, Array.from(m.flags));
+        if (command === 'MOVE') this._expunge(new Set(picked));
+        return ok();
+      }
+      case 'EXPUNGE':
+        this._expunge(new Set(this.folder.messages.filter(m => m.flags.has('\\Deleted') &&
+          (!byUid || selectSet(this.folder.messages, tokens[0], true).includes(m)))));
+        return ok();
+      case 'CLOSE':
+        if (!this.readOnly) this._expunge(new Set(this.folder.messages.filter(m => m.flags.has('\\Deleted'))), true);
+        this.folder = null;
+        return ok();
+      case 'UNSELECT':
+        this.folder = null;
+        return ok();
+      case 'APPEND': {
+        const folder = this.server.folder(this.user, String(tokens[0]));
+        if (!folder) return no('[TRYCREATE] no such mailbox');
+        const data = tokens.find(t => Buffer.isBuffer(t));
+        if (!data) return bad('APPEND needs a literal');
+        const flags = Array.isArray(tokens[1]) ? tokens[1].map(String) : [];
+        this.server.append(this.user, folder, Buffer.from(data), flags);
+        return ok();
+      }
+      case 'IDLE':
+        this.idleTag = tag;
+        this.send('+ idling');
+        this._announce();
+        return;
+      default:
+        return bad(`${command} not supported by the dev mail server`);
+    }
+  }
+
+  /**
+   * Tell the client about messages that arrived since it last looked
+   */
+  _announce() {
+    if (this.folder && this.folder.messages.length !== this.known) {
+      this.known = this.folder.messages.length;
+      this.send(`* ${this.known} EXISTS`);
+    }
+  }
+
+  _fetch(set, itemsToken, byUid) {
+    const items = (Array.isArray(itemsToken) ? itemsToken : [itemsToken]).map(String);
+    if (byUid && !items.some(i => i.toUpperCase() === 'UID')) items.unshift('UID');
+    for (const m of selectSet(this.folder.messages, set, byUid)) {
+      const seq = this.folder.messages.indexOf(m) + 1;
+      const out = [];
+      const chunks = [];
+      let markSeen = false;
+      for (const item of items) {
+        const upper = item.toUpperCase();
+        if (upper === 'UID') out.push(`UID ${m.uid}`);
+        else if (upper === 'FLAGS') out.push(`FLAGS (${Array.from(m.flags).join(' ')})`);
+        else if (upper === 'INTERNALDATE') out.push(`INTERNALDATE "${imapDate(m.date)}"`);
+        else if (upper === 'RFC822.SIZE') out.push(`RFC822.SIZE ${m.data.length}`);
+        else if (upper === 'RFC822' || upper === 'RFC822.HEADER' || upper.startsWith('BODY[') || upper.startsWith('BODY.PEEK[')) {
+          const section = /\[(.*)\](?:<(\d+)(?:\.(\d+))?>)?$/.exec(item) || [null, ''];
+          const spec = upper === 'RFC822' ? '' : upper === 'RFC822.HEADER' ? 'HEADER' : section[1].toUpperCase();
+          const { header, body } = splitMessage(m.data);
+          let data = m.data;
+          if (spec === 'HEADER') data = header;
+          else if (spec === 'TEXT') data = body;
+          else if (spec.startsWith('HEADER.FIELDS')) {
+            const fields = tokenize([section[1].replace(/^HEADER\.FIELDS(\.NOT)?\s*/i, '')])[0] || [];
+            data = headerFields(header, Array.isArray(fields) ? fields : [fields], /\.NOT/i.test(spec));
+          }
+          let name = upper === 'RFC822' || upper === 'RFC822.HEADER' ? upper : `BODY[${section[1]}]`;
+          if (section[2] !== undefined) {
+            const start = Number(section[2]);
+            data = data.subarray(start, section[3] !== undefined ? start + Number(section[3]) : undefined);
+            name += `<${start}>`;
+          }
+          if (!upper.startsWith('BODY.PEEK[') && upper !== 'RFC822.HEADER') markSeen = true;
+          out.push({ name, data });
+        }
+      }
+      if (markSeen && !this.readOnly && !m.flags.has('\\Seen')) {
+        m.flags.add('\\Seen');
+        if (!items.some(i => i.toUpperCase() === 'FLAGS')) out.push(`FLAGS (${Array.from(m.flags).join(' ')})`);
+      }
+
+      // literals go out as raw bytes after '{n}'
+      let line = `* ${seq} FETCH (`;
+      out.forEach((part, i) => {
+        const sep = i > 0 ? ' ' : '';
+        if (typeof part === 'string') {
+          line += sep + part;
+          return;
+        }
+        chunks.push(Buffer.from(`${line}${sep}${part.name} {${part.data.length}}${CRLF}`, 'utf8'), part.data);
+        line = '';
+      });
+      chunks.push(Buffer.from(line + ')' + CRLF, 'utf8'));
+      if (!this.socket.destroyed) this.socket.write(Buffer.concat(chunks));
+    }
+  }
+
+  _store(set, mode, flagsToken, byUid) {
+    const flags = (Array.isArray(flagsToken) ? flagsToken : [flagsToken]).map(String);
+    const upper = mode.toUpperCase();
+    const silent = upper.endsWith('.SILENT');
+    for (const m of selectSet(this.folder.messages, set, byUid)) {
+      if (upper.startsWith('+')) flags.forEach(f => m.flags.add(f));
+      else if (upper.startsWith('-')) flags.forEach(f => m.flags.delete(f));
+      else m.flags = new Set(flags);
+      if (!silent) {
+        const seq = this.folder.messages.indexOf(m) + 1;
+        this.send(`* ${seq} FETCH (${byUid ? `UID ${m.uid} ` : ''}FLAGS (${Array.from(m.flags).join(' ')}))`);
+      }
+    }
+  }
+
+  _search(tokens, byUid) {
+    const messages = this.folder.messages;
+    const matches = (m, i, criteria) => {
+      let result = true;
+      for (let k = 0; k < criteria.length; k++) {
+        const c = criteria[k];
+        if (Array.isArray(c)) { result = result && matches(m, i, c); continue; }
+        const key = String(c).toUpperCase();
+        if (key === 'ALL' || key === 'CHARSET') { if (key === 'CHARSET') k++; continue; }
+        if (key === 'NOT') { result = result && !matches(m, i, [criteria[++k]]); continue; }
+        if (key === 'SEEN') result = result && m.flags.has('\\Seen');
+        else if (key === 'UNSEEN') result = result && !m.flags.has('\\Seen');
+        else if (key === 'DELETED') result = result && m.flags.has('\\Deleted');
+        else if (key === 'UNDELETED') result = result && !m.flags.has('\\Deleted');
+        else if (key === 'UID') result = result && selectSet(messages, criteria[++k], true).includes(m);
+        else if (key === 'HEADER') {
+          const field = String(criteria[++k]);
+          const value = String(criteria[++k]).toLowerCase();
+          const { header } = splitMessage(m.data);
+          result = result && headerFields(header, [field]).toString('utf8').toLowerCase().includes(value);
+        } else if (/^[\d*:,]+$/.test(key)) result = result && selectSet(messages, key, false).includes(m);
+        // other criteria (dates, sizes, ...) are not narrowed down
+      }
+      return result;
+    };
+    return messages.filter((m, i) => matches(m, i, tokens)).map(m => (byUid ? m.uid : messages.indexOf(m) + 1));
+  }
+
+  _expunge(remove, silent = false) {
+    for (let i = this.folder.messages.length - 1; i >= 0; i--) {
+      if (!remove.has(this.folder.messages[i])) continue;
+      this.folder.messages.splice(i, 1);
+      if (!silent) this.send(`* ${i + 1} EXPUNGE`);
+    }
+    this.known = this.folder.messages.length;
+  }
+}
+
+// --- SMTP ---
+
+class SmtpSession {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.user = null;
+    this.from = null;
+    this.recipients = [];
+    this.data = null;
+    this.authStep = null;
+    this.buffer = Buffer.alloc(0);
+    socket.on('data', chunk => this._read(chunk));
+    this.send('220 localhost ESMTP dev mail server');
+  }
+
+  send(line) {
+    if (!this.socket.destroyed) this.socket.write(line + CRLF);
+  }
+
+  _read(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      if (this.data) {
+        const end = this.buffer.indexOf('\r\n.\r\n');
+        const atStart = this.data.length === 0 && this.buffer.subarray(0, 3).toString() === '.\r\n';
+        if (end < 0 && !atStart) return;
+        const raw = atStart ? Buffer.alloc(0) : this.buffer.subarray(0, end + 2);
+        this.buffer = this.buffer.subarray(atStart ? 3 : end + 5);
+        // undo dot-stuffing
+        const message = Buffer.from(raw.toString('binary').replace(/^\.\./gm, '.'), 'binary');
+        this.data = null;
+        this.server.deliver(this.from, this.recipients, message);
+        this.from = null;
+        this.recipients = [];
+        this.send('250 OK queued');
+        continue;
+      }
+      const nl = this.buffer.indexOf('\r\n');
+      if (nl < 0) return;
+      const line = this.buffer.subarray(0, nl).toString('utf8');
+      this.buffer = this.buffer.subarray(nl + 2);
+      this._command(line);
+    }
+  }
+
+  _login(address, password) {
+    this.user = this.server.authenticate(address, password);
+    this.send(this.user ? '235 2.7.0 authenticated' : '535 5.7.8 invalid credentials');
+  }
+
+  _command(line) {
+    if (this.authStep) {
+      const value = Buffer.from(line, 'base64').toString('utf8');
+      if (this.authStep === 'plain') {
+        this.authStep = null;
+        const [, user, pass] = value.split('\0');
+        return this._login(user, pass);
+      }
+      if (this.authStep === 'user') {
+        this.authUser = value;
+        this.authStep = 'pass';
+        return this.send('334 UGFzc3dvcmQ6');
+      }
+      this.authStep = null;
+      return this._login(this.authUser, value);
+    }
+
+    const [verb, ...rest] = line.split(' ');
+    const arg = rest.join(' ');
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        this.send('250-localhost');
+        this.send('250-AUTH PLAIN LOGIN');
+        this.send('250-8BITMIME');
+        this.send('250-SMTPUTF8');
+        return this.send('250 SIZE 52428800');
+      case 'HELO':
+        return this.send('250 localhost');
+      case 'AUTH': {
+        const [mech, initial] = arg.split(' ');
+        if (/^plain$/i.test(mech)) {
+          if (!initial) {
+            this.authStep = 'plain';
+            return this.send('334 ');
+          }
+          const [, user, pass] = Buffer.from(initial, 'base64').toString('utf8').split('\0');
+          return this._login(user, pass);
+        }
+        if (/^login$/i.test(mech)) {
+          this.authStep = 'user';
+          return this.send('334 VXNlcm5hbWU6');
+        }
+        return this.send('504 5.5.4 unsupported mechanism');
+      }
+      case 'MAIL': {
+        if (!this.user) return this.send('530 5.7.0 authentication required');
+        const m = /FROM:\s*<([^>]*)>/i.exec(arg);
+        if (!m) return this.send('501 5.5.4 syntax: MAIL FROM:<address>');
+        this.from = m[1];
+        this.recipients = [];
+        return this.send('250 OK');
+      }
+      case 'RCPT': {
+        if (!this.from) return this.send('503 5.5.1 MAIL first');
+        const m = /TO:\s*<([^>]+)>/i.exec(arg);
+        if (!m) return this.send('501 5.5.4 syntax: RCPT TO:<address>');
+        this.recipients.push(m[1]);
+        return this.send('250 OK');
+      }
+      case 'DATA':
+        if (this.recipients.length === 0) return this.send('503 5.5.1 RCPT first');
+        this.data = Buffer.alloc(0);
+        return this.send('354 end data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        this.from = null;
+        this.recipients = [];
+        return this.send('250 OK');
+      case 'NOOP':
+        return this.send('250 OK');
+      case 'STARTTLS':
+        return this.send('454 4.7.0 TLS not available on the dev mail server');
+      case 'QUIT':
+        this.send('221 bye');
+        return this.socket.end();
+      default:
+        return this.send('502 5.5.2 command not implemented');
+    }
+  }
+}
+
+// `node dev-mail-server.js [--imap-port n] [--smtp-port n]` runs it standalone
+if (require.main === module) {
+  const { parseArgs } = require('./config');
+  const { flags } = parseArgs(process.argv.slice(2));
+  const server = new DevMailServer({
+    imapPort: Number(flags['imap-port']) || 1143,
+    smtpPort: Number(flags['smtp-port']) || 1025,
+    log: msg => console.log(msg)
+  });
+  server.start().then(() => {
+    console.log('channel config for an account on this server:');
+    console.log(JSON.stringify(server.accountConfig('bot@chat.test', 'choose-a-password'), null, 2));
+  }, (e) => {
+    console.error(`cannot start dev mail server: ${e.message}`);
+    process.exit(1);
+  });
+  process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+}
+
+module.exports = { DevMailServer };
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveLogger } = require('./logger');
+
+/**
+ * EventLog - bounded replay buffer behind the shim's SSE stream
+ * - every event gets an id '<epoch>:<seq>'; seq increases by one per event,
+ *   epoch changes when the log starts over (new runner without a file)
+ * - keeps the last `capacity` events in memory and, with filePath, in a
+ *   JSONL file compacted once it grows to twice the capacity
+ * - since(lastEventId) returns what a reconnecting client missed
+ */
+class EventLog {
+  constructor(options = {}) {
+    this.capacity = options.capacity || 1000;
+    this.filePath = options.filePath || null;
+    this.log = resolveLogger(options.logger);
+
+    this.epoch = Date.now().toString(36);
+    this.seq = 0;
+    // [{ id, seq, event }] oldest first
+    this.records = [];
+    this._fileLines = 0;
+
+    if (this.filePath) this._load();
+  }
+
+  /**
+   * Store an event; returns its record { id, seq, event }
+   */
+  append(event) {
+    this.seq++;
+    const record = { id: `${this.epoch}:${this.seq}`, seq: this.seq, event };
+    this.records.push(record);
+    if (this.records.length > this.capacity) this.records.shift();
+
+    if (this.filePath) {
+      try {
+        fs.appendFileSync(this.filePath, JSON.stringify({ id: record.id, event }) + '\n');
+        this._fileLines++;
+        if (this._fileLines >= this.capacity * 2) this._compact();
+      } catch (e) {
+        this.log.error('DeltaChat event log write failed', { err: e });
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Records after lastEventId: { records, gap } where gap means events
+   * between lastEventId and the oldest buffered one were dropped.
+   * No id means a fresh subscriber: nothing is replayed. An id from
+   * another epoch (the runner restarted) replays the whole buffer.
+   */
+  since(lastEventId) {
+    const parsed = parseEventId(lastEventId);
+    if (!parsed) return { records: [], gap: false };
+    if (parsed.epoch !== this.epoch) return { records: this.records.slice(), gap: true };
+
+    const oldest = this.records.length > 0 ? this.records[0].seq : this.seq + 1;
+    return {
+      records: this.records.filter(r => r.seq > parsed.seq),
+      gap: parsed.seq < oldest - 1
+    };
+  }
+
+  _compact() {
+    const tmp = this.filePath + '.tmp';
+    fs.writeFileSync(tmp, this.records.map(r => JSON.stringify({ id: r.id, event: r.event }) + '\n').join(''));
+    fs.renameSync(tmp, this.filePath);
+    this._fileLines = this.records.length;
+  }
+
+  /**
+   * Restore the buffer and continue the stored epoch and sequence
+   */
+  _load() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      if (!fs.existsSync(this.filePath)) return;
+
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let rec;
+        try { rec = JSON.parse(line); } catch (_) { continue; }
+        const parsed = parseEventId(rec.id);
+        if (!parsed) continue;
+        this.epoch = parsed.epoch;
+        this.seq = parsed.seq;
+        this.records.push({ id: rec.id, seq: parsed.seq, event: rec.event });
+      }
+      // only the latest epoch is replayable
+      this.records = this.records.filter(r => r.id.startsWith(this.epoch + ':')).slice(-this.capacity);
+      this._compact();
+    } catch (e) {
+      this.log.error('DeltaChat event log load failed', { err: e });
+    }
+  }
+}
+
+function parseEventId(id) {
+  const m = /^([0-9a-z]+):(\d+)$/.exec(String(id || '').trim());
+  return m ? { epoch: m[1], seq: Number(m[2]) } : null;
+}
+
+/**
+ * True when event id a comes after b (ids from different epochs always do)
+ */
+function isNewerEventId(a, b) {
+  const pa = parseEventId(a);
+  const pb = parseEventId(b);
+  if (!pa) return false;
+  if (!pb || pa.epoch !== pb.epoch) return true;
+  return pa.seq > pb.seq;
+}
+
+module.exports = { EventLog, parseEventId, isNewerEventId };
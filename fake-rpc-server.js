@@ -0,0 +1,617 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/**
+ * fake-rpc-server - stand-in for deltachat-rpc-server during development
+ *
+ * Speaks the newline-delimited JSON-RPC over stdio that StdioDeltaChat uses
+ * and keeps a small account/chat/contact/message model in
+ * $DC_ACCOUNTS_PATH/fake-rpc-state.json. No network: configure() succeeds
+ * when addr and mail_pw are set, sent messages are delivered after a moment.
+ *
+ * Use it with "rpcServerPath": "/path/to/fake-rpc-server.js".
+ *
+ * Commands (one JSON object each) script what happens:
+ *   { "incoming": { "account": 1, "from": "peer@example.org", "text": "hi",
+ *                   "chatId": 12, "quote": 15, "group": "Team",
+ *                   "timestamp": 1700000000 } }     timestamp defaults to now
+ *   { "event": { "account": 1, "kind": "Warning", "msg": "..." } }  any core event
+ *   { "read": { "account": 1, "msgId": 15, "from": "peer@example.org" } }
+ *                                           read receipt for one of our messages
+ *   { "connectivity": 2000, "account": 1 }
+ *   { "delay": { "send_msg": 5000 } }       answer that method after ms
+ *   { "hang": ["get_connectivity"] }        never answer it (caller times out)
+ *   { "fail": { "configure": "bad password" } }  answer it with that error
+ *   { "crash": 3 }                          exit with that code
+ *   { "reset": true }                       drop delay/hang/fail
+ * Method names are the wire names (snake_case); camelCase works too.
+ *
+ * Environment:
+ *   FAKE_RPC_SCRIPT         JSON file [{ "at": <ms after start>, ...command }]
+ *   FAKE_RPC_CONTROL        unix socket taking newline-delimited commands,
+ *                           e.g. echo '{"crash":1}' | nc -U /tmp/fake-rpc.sock
+ *   FAKE_RPC_STARTUP_DELAY  ms before requests are answered (slow startup)
+ *
+ * Incoming messages only arrive while IO runs, like with a real server:
+ * the ones injected before start_io are delivered when it is called.
+ */
+
+const SELF = 1;
+const CONNECTED = 4000;
+const NOT_CONNECTED = 1000;
+
+const accountsPath = process.env.DC_ACCOUNTS_PATH || process.cwd();
+const statePath = path.join(accountsPath, 'fake-rpc-state.json');
+
+const behaviour = { delay: {}, hang: new Set(), fail: {} };
+const events = [];
+const eventWaiters = [];
+// account id -> incoming messages waiting for start_io
+const pending = new Map();
+const io = new Map();
+
+let state = loadState();
+
+function log(level, message) {
+  process.stderr.write(`[${new Date().toISOString()} ${level} fake_rpc] ${message}\n`);
+}
+
+function loadState() {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (_) {
+    return { nextAccountId: 1, accounts: {} };
+  }
+}
+
+function saveState() {
+  try {
+    fs.mkdirSync(accountsPath, { recursive: true });
+    // tests read the file while we run: never let them see half of it
+    fs.writeFileSync(statePath + '.tmp', JSON.stringify(state, null, 2));
+    fs.renameSync(statePath + '.tmp', statePath);
+  } catch (e) {
+    log('ERROR', `cannot write ${statePath}: ${e.message}`);
+  }
+}
+
+function wireName(name) {
+  return String(name).replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+}
+
+function emit(accountId, event) {
+  const item = { contextId: Number(accountId), event };
+  const waiter = eventWaiters.shift();
+  if (waiter) waiter(item);
+  else events.push(item);
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// --- model ---
+
+function account(id) {
+  const acct = state.accounts[id];
+  if (!acct) throw new Error(`account ${id} does not exist`);
+  return acct;
+}
+
+function newAccount() {
+  const id = state.nextAccountId++;
+  state.accounts[id] = {
+    id,
+    configured: false,
+    config: {},
+    connectivity: NOT_CONNECTED,
+    nextChatId: 10,
+    nextContactId: 10,
+    nextMsgId: 10,
+    chats: {},
+    contacts: {},
+    messages: {}
+  };
+  return id;
+}
+
+function accountRecord(acct) {
+  if (!acct.configured) return { kind: 'Unconfigured', id: acct.id };
+  return { kind: 'Configured', id: acct.id, addr: acct.config.addr, displayName: acct.config.displayname || null, color: '#000000', profileImage: null };
+}
+
+function contactRecord(acct, contactId) {
+  if (Number(contactId) === SELF) {
+    return { id: SELF, address: acct.config.addr || '', displayName: acct.config.displayname || 'Me', authName: '', isVerified: true, e2eeAvail: true, isBlocked: false, isBot: true, profileImage: null };
+  }
+  const c = acct.contacts[contactId];
+  if (!c) throw new Error(`contact ${contactId} does not exist`);
+  return { id: c.id, address: c.address, displayName: c.name || c.address, authName: c.name || '', isVerified: false, e2eeAvail: true, isBlocked: !!c.blocked, isBot: false, profileImage: null };
+}
+
+function contactIdFor(acct, address, name = null) {
+  const addr = String(address).toLowerCase();
+  const found = Object.values(acct.contacts).find(c => c.address === addr);
+  if (found) {
+    if (name && !found.name) found.name = name;
+    return found.id;
+  }
+  const id = acct.nextContactId++;
+  acct.contacts[id] = { id, address: addr, name: name || '', blocked: false };
+  return id;
+}
+
+function newChat(acct, fields) {
+  const id = acct.nextChatId++;
+  acct.chats[id] = { id, name: '', chatType: 'Single', contactIds: [SELF], isContactRequest: false, blocked: false, profileImage: null, ...fields };
+  return id;
+}
+
+function chat(acct, chatId) {
+  const c = acct.chats[chatId];
+  if (!c) throw new Error(`chat ${chatId} does not exist`);
+  return c;
+}
+
+function directChat(acct, contactId) {
+  const found = Object.values(acct.chats).find(c => c.chatType === 'Single' && c.contactIds.includes(contactId));
+  if (found) return found.id;
+  const contact = acct.contacts[contactId];
+  return newChat(acct, { name: contact.name || contact.address, contactIds: [SELF, contactId], isContactRequest: true });
+}
+
+function chatRecord(acct, chatId) {
+  const c = chat(acct, chatId);
+  return { id: c.id, name: c.name, chatType: c.chatType, isContactRequest: c.isContactRequest, contactIds: c.contactIds.slice(), isProtected: false, profileImage: c.profileImage, archived: false, isMuted: false };
+}
+
+function messageRecord(acct, msgId) {
+  const m = acct.messages[msgId];
+  if (!m) throw new Error(`message ${msgId} does not exist`);
+  const quoted = m.quotedMsgId != null ? acct.messages[m.quotedMsgId] : null;
+  return {
+    id: m.id,
+    chatId: m.chatId,
+    fromId: m.fromId,
+    sender: contactRecord(acct, m.fromId),
+    text: m.text || '',
+    timestamp: m.timestamp,
+    sortTimestamp: m.timestamp,
+    receivedTimestamp: m.timestamp,
+    viewType: m.file ? (m.viewtype || 'File') : 'Text',
+    file: m.file || null,
+    fileName: m.file ? (m.filename || path.basename(m.file)) : null,
+    fileMime: null,
+    fileBytes: 0,
+    isBot: m.fromId === SELF,
+    isInfo: false,
+    state: m.state,
+    overrideSenderName: null,
+    downloadState: 'Done',
+    quote: quoted ? { kind: 'WithMessage', messageId: quoted.id, text: quoted.text || '', authorDisplayName: contactRecord(acct, quoted.fromId).displayName } : null,
+    reactions: null
+  };
+}
+
+// messages of a chat, oldest first
+function chatMessages(acct, chatId) {
+  chat(acct, chatId);
+  return Object.values(acct.messages)
+    .filter(m => m.chatId === Number(chatId))
+    .sort((a, b) => a.timestamp - b.timestamp || a.id - b.id);
+}
+
+function addMessage(acct, fields) {
+  const id = acct.nextMsgId++;
+  acct.messages[id] = { id, timestamp: nowSeconds(), text: '', file: null, quotedMsgId: null, state: 10, ...fields };
+  return id;
+}
+
+function deliverIncoming(accountId, spec) {
+  const acct = account(accountId);
+  const fromId = contactIdFor(acct, spec.from || 'peer@example.org', spec.name || null);
+  let chatId = spec.chatId != null ? Number(spec.chatId) : null;
+  if (chatId == null && spec.group) {
+    const group = Object.values(acct.chats).find(c => c.chatType === 'Group' && c.name === spec.group);
+    chatId = group ? group.id : newChat(acct, { name: spec.group, chatType: 'Group', contactIds: [SELF, fromId] });
+  }
+  if (chatId == null) chatId = directChat(acct, fromId);
+  chat(acct, chatId);
+
+  const msgId = addMessage(acct, {
+    chatId,
+    fromId,
+    text: spec.text || '',
+    file: spec.file || null,
+    viewtype: spec.viewtype || null,
+    quotedMsgId: spec.quote != null ? Number(spec.quote) : null,
+    ...(spec.timestamp != null && { timestamp: Number(spec.timestamp) })
+  });
+  saveState();
+  emit(accountId, { kind: 'IncomingMsg', chatId, msgId });
+  log('INFO', `incoming message ${msgId} in chat ${chatId} for account ${accountId}`);
+}
+
+function setConnectivity(accountId, level) {
+  account(accountId).connectivity = level;
+  emit(accountId, { kind: 'ConnectivityChanged' });
+  if (level >= CONNECTED) emit(accountId, { kind: 'ImapInboxIdle' });
+}
+
+// --- methods (wire names) ---
+
+const METHODS = {
+  get_system_info: () => ({ deltachat_core_version: 'fake', arch: process.arch, num_cpus: '1' }),
+  get_all_accounts: () => Object.values(state.accounts).map(accountRecord),
+  get_all_account_ids: () => Object.keys(state.accounts).map(Number),
+  add_account: () => { const id = newAccount(); saveState(); return id; },
+  remove_account: (id) => {
+    account(id);
+    delete state.accounts[id];
+    io.delete(Number(id));
+    pending.delete(Number(id));
+    saveState();
+    return null;
+  },
+  get_account_info: id => accountRecord(account(id)),
+  select_account: () => null,
+
+  batch_set_config: (id, config) => { Object.assign(account(id).config, config || {}); saveState(); return null; },
+  set_config: (id, key, value) => { account(id).config[key] = value; saveState(); return null; },
+  get_config: (id, key) => (account(id).config[key] == null ? null : String(account(id).config[key])),
+  configure: (id) => {
+    const acct = account(id);
+    if (!acct.config.addr || !acct.config.mail_pw) throw new Error('missing addr or mail_pw');
+    acct.configured = true;
+    saveState();
+    emit(id, { kind: 'ConfigureProgress', progress: 1000, comment: null });
+    return null;
+  },
+
+  start_io: (id) => {
+    account(id);
+    io.set(Number(id), true);
+    setTimeout(() => {
+      if (!io.get(Number(id)) || !state.accounts[id]) return;
+      setConnectivity(id, CONNECTED);
+      const queued = pending.get(Number(id)) || [];
+      pending.delete(Number(id));
+      for (const spec of queued) deliverIncoming(id, spec);
+    }, 50);
+    return null;
+  },
+  stop_io: (id) => {
+    io.set(Number(id), false);
+    if (state.accounts[id]) state.accounts[id].connectivity = NOT_CONNECTED;
+    return null;
+  },
+  start_io_for_all_accounts: () => { for (const id of Object.keys(state.accounts)) METHODS.start_io(id); return null; },
+  stop_io_for_all_accounts: () => { for (const id of Object.keys(state.accounts)) METHODS.stop_io(id); return null; },
+  get_connectivity: id => account(id).connectivity,
+  get_next_event: () => new Promise((resolve) => {
+    if (events.length > 0) resolve(events.shift());
+    else eventWaiters.push(resolve);
+  }),
+
+  get_message: (id, msgId) => messageRecord(account(id), msgId),
+  get_messages: (id, msgIds) => Object.fromEntries(msgIds.map((m) => {
+    try {
+      return [m, { kind: 'message', ...messageRecord(account(id), m) }];
+    } catch (e) {
+      return [m, { kind: 'loadingError', error: e.message }];
+    }
+  })),
+  get_message_ids: (id, chatId) => chatMessages(account(id), chatId).map(m => m.id),
+  search_messages: (id, query, chatId = null) => {
+    const needle = String(query).toLowerCase();
+    const acct = account(id);
+    const found = (chatId == null ? Object.values(acct.messages) : chatMessages(acct, chatId))
+      .filter(m => (m.text || '').toLowerCase().includes(needle));
+    // like the core: oldest first within a chat, newest first across chats
+    return (chatId == null ? found.reverse() : found).map(m => m.id);
+  },
+  send_msg: (id, chatId, data = {}) => {
+    const acct = account(id);
+    chat(acct, chatId);
+    const msgId = addMessage(acct, {
+      chatId: Number(chatId),
+      fromId: SELF,
+      text: data.text || '',
+      file: data.file || null,
+      filename: data.filename || null,
+      viewtype: data.viewtype || null,
+      // MessageData field names as in the core; unknown ones are ignored there too
+      quotedMsgId: data.quotedMessageId != null ? data.quotedMessageId : null,
+      state: 20
+    });
+    saveState();
+    setTimeout(() => {
+      if (!state.accounts[id] || !state.accounts[id].messages[msgId]) return;
+      state.accounts[id].messages[msgId].state = 26;
+      saveState();
+      emit(id, { kind: 'MsgDelivered', chatId: Number(chatId), msgId });
+    }, 200);
+    return msgId;
+  },
+  send_reaction: (id, msgId) => {
+    const acct = account(id);
+    const m = acct.messages[msgId];
+    if (!m) throw new Error(`message ${msgId} does not exist`);
+    return addMessage(acct, { chatId: m.chatId, fromId: SELF, text: '', state: 26 });
+  },
+  send_edit_request: (id, msgId, text) => {
+    const m = account(id).messages[msgId];
+    if (!m) throw new Error(`message ${msgId} does not exist`);
+    m.text = text;
+    saveState();
+    return null;
+  },
+  delete_messages: (id, msgIds) => {
+    const acct = account(id);
+    for (const m of msgIds) delete acct.messages[m];
+    saveState();
+    return null;
+  },
+  delete_messages_for_all: (id, msgIds) => METHODS.delete_messages(id, msgIds),
+  get_message_read_receipts: (id, msgId) => {
+    const m = account(id).messages[msgId];
+    if (!m) throw new Error(`message ${msgId} does not exist`);
+    return m.readBy || [];
+  },
+  markseen_msgs: (id, msgIds) => {
+    const acct = account(id);
+    for (const m of msgIds) {
+      if (acct.messages[m] && acct.messages[m].fromId !== SELF) acct.messages[m].state = 16;
+    }
+    saveState();
+    return null;
+  },
+
+  get_chatlist_entries: (id) => {
+    const acct = account(id);
+    const last = c => Math.max(0, ...Object.values(acct.messages).filter(m => m.chatId === c.id).map(m => m.id));
+    return Object.values(acct.chats).filter(c => !c.blocked).sort((a, b) => last(b) - last(a)).map(c => c.id);
+  },
+  get_chatlist_items_by_entries: (id, entries) => {
+    const acct = account(id);
+    return Object.fromEntries(entries.map((chatId) => {
+      const c = chatRecord(acct, chatId);
+      const messages = chatMessages(acct, chatId);
+      const last = messages[messages.length - 1] || null;
+      return [chatId, {
+        kind: 'ChatListItem',
+        id: c.id,
+        name: c.name,
+        chatType: c.chatType,
+        isContactRequest: c.isContactRequest,
+        isArchived: false,
+        isMuted: false,
+        freshMessageCounter: messages.filter(m => m.state === 10).length,
+        lastMessageId: last ? last.id : null,
+        lastUpdated: last ? last.timestamp * 1000 : null
+      }];
+    }));
+  },
+  get_full_chat_by_id: (id, chatId) => chatRecord(account(id), chatId),
+  get_basic_chat_info: (id, chatId) => chatRecord(account(id), chatId),
+  accept_chat: (id, chatId) => { chat(account(id), chatId).isContactRequest = false; saveState(); return null; },
+  block_chat: (id, chatId) => { chat(account(id), chatId).blocked = true; saveState(); return null; },
+  create_group_chat: (id, name) => { const c = newChat(account(id), { name, chatType: 'Group' }); saveState(); return c; },
+  create_group_chat_unencrypted: (id, name) => METHODS.create_group_chat(id, name),
+  create_broadcast: (id, name) => { const c = newChat(account(id), { name, chatType: 'OutBroadcast' }); saveState(); return c; },
+  create_broadcast_list: (id) => METHODS.create_broadcast(id, 'Broadcast'),
+  add_contact_to_chat: (id, chatId, contactId) => {
+    const c = chat(account(id), chatId);
+    if (!c.contactIds.includes(contactId)) c.contactIds.push(contactId);
+    saveState();
+    return null;
+  },
+  remove_contact_from_chat: (id, chatId, contactId) => {
+    const c = chat(account(id), chatId);
+    c.contactIds = c.contactIds.filter(x => x !== contactId);
+    saveState();
+    return null;
+  },
+  leave_group: (id, chatId) => METHODS.remove_contact_from_chat(id, chatId, SELF),
+  get_chat_contacts: (id, chatId) => chat(account(id), chatId).contactIds.slice(),
+  set_chat_name: (id, chatId, name) => { chat(account(id), chatId).name = name; saveState(); return null; },
+  set_chat_profile_image: (id, chatId, image) => { chat(account(id), chatId).profileImage = image || null; saveState(); return null; },
+
+  create_contact: (id, address, name) => { const c = contactIdFor(account(id), address, name); saveState(); return c; },
+  lookup_contact_id_by_addr: (id, address) => {
+    const found = Object.values(account(id).contacts).find(c => c.address === String(address).toLowerCase());
+    return found ? found.id : null;
+  },
+  get_contact: (id, contactId) => contactRecord(account(id), contactId),
+  get_contacts: (id, flags, query) => {
+    const q = query ? String(query).toLowerCase() : null;
+    return Object.values(account(id).contacts)
+      .filter(c => !c.blocked && (!q || c.address.includes(q) || c.name.toLowerCase().includes(q)))
+      .map(c => contactRecord(account(id), c.id));
+  },
+  get_contacts_by_ids: (id, ids) => Object.fromEntries(ids.map(c => [c, contactRecord(account(id), c)])),
+  get_blocked_contacts: id => Object.values(account(id).contacts).filter(c => c.blocked).map(c => contactRecord(account(id), c.id)),
+  block_contact: (id, contactId) => { contactRecord(account(id), contactId); account(id).contacts[contactId].blocked = true; saveState(); return null; },
+  unblock_contact: (id, contactId) => { contactRecord(account(id), contactId); account(id).contacts[contactId].blocked = false; saveState(); return null; },
+
+  get_chat_securejoin_qr_code: (id, chatId) => {
+    const acct = account(id);
+    const group = chatId != null ? `&g=${encodeURIComponent(chat(acct, chatId).name)}&x=fake${chatId}` : '';
+    return `OPENPGP4FPR:FAKE${String(id).padStart(4, '0')}#a=${encodeURIComponent(acct.config.addr || '')}&n=&i=fake&s=fake${group}`;
+  },
+  create_qr_svg: qr => `<svg xmlns="http://www.w3.org/2000/svg"><text>${String(qr).replace(/[<&]/g, '')}</text></svg>`,
+  get_chat_securejoin_qr_code_svg: (id, chatId) => {
+    const qr = METHODS.get_chat_securejoin_qr_code(id, chatId);
+    return [qr, METHODS.create_qr_svg(qr)];
+  },
+  secure_join: (id, qr) => {
+    const acct = account(id);
+    const params = new URLSearchParams(String(qr).replace(/^[^#]*#/, ''));
+    const addr = params.get('a') || 'inviter@example.org';
+    const contactId = contactIdFor(acct, addr);
+    const chatId = params.get('g')
+      ? newChat(acct, { name: params.get('g'), chatType: 'Group', contactIds: [SELF, contactId] })
+      : directChat(acct, contactId);
+    acct.chats[chatId].isContactRequest = false;
+    saveState();
+    setTimeout(() => emit(id, { kind: 'SecurejoinJoinerProgress', contactId, progress: 1000 }), 100);
+    return chatId;
+  }
+};
+
+// --- commands ---
+
+function runCommand(cmd) {
+  if (!cmd || typeof cmd !== 'object') return;
+  if (cmd.reset) {
+    behaviour.delay = {};
+    behaviour.hang = new Set();
+    behaviour.fail = {};
+  }
+  if (cmd.delay) for (const m of Object.keys(cmd.delay)) behaviour.delay[wireName(m)] = Number(cmd.delay[m]) || 0;
+  if (cmd.hang) for (const m of [].concat(cmd.hang)) behaviour.hang.add(wireName(m));
+  if (cmd.fail) for (const m of Object.keys(cmd.fail)) behaviour.fail[wireName(m)] = String(cmd.fail[m]);
+  if (cmd.incoming) {
+    const accountId = Number(cmd.incoming.account || firstAccountId());
+    if (!state.accounts[accountId]) {
+      log('WARN', `incoming for unknown account ${accountId} dropped`);
+    } else if (io.get(accountId)) {
+      deliverIncoming(accountId, cmd.incoming);
+    } else {
+      if (!pending.has(accountId)) pending.set(accountId, []);
+      pending.get(accountId).push(cmd.incoming);
+    }
+  }
+  if (cmd.event) {
+    const { account: accountId, ...event } = cmd.event;
+    emit(accountId || firstAccountId(), event);
+  }
+  if (cmd.read) {
+    const accountId = Number(cmd.read.account || firstAccountId());
+    const m = state.accounts[accountId] && state.accounts[accountId].messages[cmd.read.msgId];
+    if (!m) {
+      log('WARN', `read receipt for unknown message ${cmd.read.msgId} dropped`);
+    } else {
+      const readers = cmd.read.from ? [contactIdFor(state.accounts[accountId], cmd.read.from)] : chat(state.accounts[accountId], m.chatId).contactIds.filter(c => c !== SELF);
+      m.readBy = readers.map(contactId => ({ contactId, timestamp: nowSeconds() }));
+      m.state = 28;
+      saveState();
+      emit(accountId, { kind: 'MsgRead', chatId: m.chatId, msgId: m.id });
+    }
+  }
+  if (cmd.connectivity != null) {
+    const accountId = cmd.account || firstAccountId();
+    if (state.accounts[accountId]) setConnectivity(accountId, Number(cmd.connectivity));
+  }
+  if (cmd.crash != null) {
+    log('ERROR', `crashing with code ${cmd.crash} as scripted`);
+    process.exit(Number(cmd.crash));
+  }
+}
+
+function firstAccountId() {
+  const ids = Object.keys(state.accounts).map(Number);
+  return ids.length > 0 ? Math.min(...ids) : 1;
+}
+
+function loadScript(file) {
+  let steps;
+  try {
+    steps = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    log('ERROR', `cannot read FAKE_RPC_SCRIPT ${file}: ${e.message}`);
+    return;
+  }
+  for (const step of Array.isArray(steps) ? steps : []) {
+    const { at, ...cmd } = step;
+    setTimeout(() => runCommand(cmd), Number(at) || 0);
+  }
+}
+
+function listenControl(socketPath) {
+  try { fs.unlinkSync(socketPath); } catch (_) {}
+  const server = net.createServer((conn) => {
+    let buffer = '';
+    conn.on('data', (chunk) => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, nl).trim();
+        buffer = buffer.slice(nl + 1);
+        if (!line) continue;
+        try {
+          runCommand(JSON.parse(line));
+          conn.write('ok\n');
+        } catch (e) {
+          conn.write(`error ${e.message}\n`);
+        }
+      }
+    });
+    conn.on('error', () => {});
+  });
+  server.on('error', e => log('ERROR', `control socket ${socketPath}: ${e.message}`));
+  server.listen(socketPath);
+  process.on('exit', () => { try { fs.unlinkSync(socketPath); } catch (_) {} });
+  // the socket must not keep the process alive after stdin closes
+  server.unref();
+}
+
+// --- JSON-RPC over stdio ---
+
+function reply(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function handleRequest(request) {
+  const { id, method } = request;
+  const params = Array.isArray(request.params) ? request.params : [];
+  if (behaviour.hang.has(method)) return;
+
+  const answer = () => {
+    Promise.resolve()
+      .then(() => {
+        if (behaviour.fail[method]) throw new Error(behaviour.fail[method]);
+        const fn = METHODS[method];
+        if (!fn) throw new Error(`fake-rpc-server: ${method} is not implemented`);
+        return fn(...params);
+      })
+      .then(
+        result => reply({ jsonrpc: '2.0', id, result: result === undefined ? null : result }),
+        err => reply({ jsonrpc: '2.0', id, error: { code: -1, message: err && err.message ? err.message : String(err) } })
+      );
+  };
+  const delay = behaviour.delay[method];
+  if (delay) setTimeout(answer, delay);
+  else answer();
+}
+
+function serve() {
+  let buffer = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', (chunk) => {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line) continue;
+      let request;
+      try {
+        request = JSON.parse(line);
+      } catch (e) {
+        log('WARN', `unparsable request: ${line.slice(0, 200)}`);
+        continue;
+      }
+      handleRequest(request);
+    }
+  });
+  // the parent closed our stdin: shut down like the real server
+  process.stdin.on('end', () => process.exit(0));
+}
+
+if (process.env.FAKE_RPC_CONTROL) listenControl(process.env.FAKE_RPC_CONTROL);
+if (process.env.FAKE_RPC_SCRIPT) loadScript(process.env.FAKE_RPC_SCRIPT);
+log('INFO', `fake deltachat-rpc-server started, state in ${statePath}`);
+setTimeout(serve, Number(process.env.FAKE_RPC_STARTUP_DELAY) || 0);
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const INTERVALS = { hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 };
+const SECRET_KEY = /pass(word)?|secret|token|authorization|cookie|_pw$/i;
+const BODY_KEYS = ['text', 'html', 'body', 'caption', 'finalText'];
+const FALLBACK_FILE = '/tmp/deltachat-fallback.log';
+
+/**
+ * Logger - leveled logger shared by the runner, channels and the RPC host
+ *
+ * Options (channels.deltachat.config.logging):
+ *   level         'debug' | 'info' (default) | 'warn' | 'error'
+ *   format        'text' (default) or 'json' (one object per line)
+ *   console       also write to stdout/stderr (default true)
+ *   file          log file; rotated when it reaches maxSize bytes
+ *                 (default 10 MiB) or when interval ('hourly', 'daily' or
+ *                 ms) passes, keeping maxFiles old files (default 5)
+ *   redactBodies  replace message texts with their length
+ *
+ * Fields whose key looks like a secret (password, token, ...) are always
+ * redacted. Logging never throws.
+ */
+class Logger {
+  constructor(options = {}, bindings = {}, sink = null) {
+    this.level = LEVELS[options.level] ? options.level : 'info';
+    this.bindings = bindings;
+    this.redactBodies = !!options.redactBodies;
+    this.sink = sink || new Sink(options);
+  }
+
+  /**
+   * Logger that adds bindings (e.g. { account: 'support' }) to every line
+   */
+  child(bindings = {}) {
+    const child = new Logger({ level: this.level, redactBodies: this.redactBodies }, { ...this.bindings, ...bindings }, this.sink);
+    // level and redactBodies live on the root so reconfigure() reaches every child
+    child.root = this.root || this;
+    return child;
+  }
+
+  setLevel(level) {
+    if (LEVELS[level]) this.level = level;
+  }
+
+  /**
+   * Apply reloadable options (level, redactBodies) to the root logger
+   */
+  reconfigure(options = {}) {
+    const root = this.root || this;
+    if (options.level !== undefined) root.setLevel(options.level);
+    if (options.redactBodies !== undefined) root.redactBodies = !!options.redactBodies;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[(this.root || this).level];
+  }
+
+  debug(msg, fields) { this._write('debug', msg, fields); }
+  info(msg, fields) { this._write('info', msg, fields); }
+  warn(msg, fields) { this._write('warn', msg, fields); }
+  error(msg, fields) { this._write('error', msg, fields); }
+
+  _write(level, msg, fields) {
+    try {
+      if (!this.isLevelEnabled(level)) return;
+      const entry = { time: new Date().toISOString(), level, msg: String(msg), ...this.bindings };
+      if (fields && typeof fields === 'object') Object.assign(entry, this._redact(fields, 0));
+      this.sink.write(level, entry);
+    } catch (_) {}
+  }
+
+  _redact(value, depth) {
+    if (value instanceof Error) return value.stack || value.message;
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) return value;
+    if (depth > 5) return '[…]';
+    if (Array.isArray(value)) return value.map(v => this._redact(v, depth + 1));
+    const out = {};
+    for (const key of Object.keys(value)) {
+      const v = value[key];
+      if (SECRET_KEY.test(key) && v != null && typeof v !== 'object') out[key] = '[redacted]';
+      else if ((this.root || this).redactBodies && BODY_KEYS.includes(key) && typeof v === 'string') out[key] = `[${v.length} chars]`;
+      else out[key] = this._redact(v, depth + 1);
+    }
+    return out;
+  }
+}
+
+/**
+ * Formats entries and writes them to the console and the rotating file
+ */
+class Sink {
+  constructor(options = {}) {
+    this.format = options.format === 'json' ? 'json' : 'text';
+    this.console = options.console !== false;
+    this.file = options.file || null;
+    this.maxSize = Number(options.maxSize) > 0 ? Number(options.maxSize) : 10 * 1024 * 1024;
+    this.maxFiles = Number(options.maxFiles) > 0 ? Number(options.maxFiles) : 5;
+    this.interval = INTERVALS[options.interval] || (Number(options.interval) > 0 ? Number(options.interval) : 0);
+    this.size = 0;
+    this.period = null;
+
+    if (this.file) {
+      try {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const st = fs.statSync(this.file);
+        this.size = st.size;
+        if (this.interval) this.period = Math.floor(st.mtimeMs / this.interval);
+      } catch (_) {}
+    }
+  }
+
+  write(level, entry) {
+    const line = this.format === 'json' ? JSON.stringify(entry) : formatText(entry);
+    if (this.console) {
+      try {
+        if (level === 'error' || level === 'warn') console.error(line);
+        else console.log(line);
+      } catch (_) { /* ignore EPIPE/closed stdout */ }
+    }
+    if (this.file) this._append(line + '\n');
+  }
+
+  _append(text) {
+    try {
+      this._maybeRotate(Buffer.byteLength(text));
+      fs.appendFileSync(this.file, text);
+      this.size += Buffer.byteLength(text);
+    } catch (e) {
+      try { fs.appendFileSync(FALLBACK_FILE, text); } catch (_) {}
+    }
+  }
+
+  _maybeRotate(incoming) {
+    const now = Date.now();
+    const period = this.interval ? Math.floor(now / this.interval) : null;
+    if (this.period === null) this.period = period;
+    const bySize = this.size > 0 && this.size + incoming > this.maxSize;
+    const byTime = this.interval && period !== this.period && this.size > 0;
+    this.period = period;
+    if (!bySize && !byTime) return;
+
+    // deltachat.log -> deltachat.log.1 -> ... -> deltachat.log.<maxFiles>
+    try { fs.unlinkSync(`${this.file}.${this.maxFiles}`); } catch (_) {}
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      try { fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`); } catch (_) {}
+    }
+    try { fs.renameSync(this.file, `${this.file}.1`); } catch (_) {}
+    this.size = 0;
+  }
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...rest } = entry;
+  const extra = Object.keys(rest).map((key) => {
+    const v = rest[key];
+    if (typeof v === 'string') return /[\s"=]/.test(v) ? `${key}=${JSON.stringify(v)}` : `${key}=${v}`;
+    return `${key}=${JSON.stringify(v)}`;
+  });
+  return `[${time}] ${level.toUpperCase()} ${msg}${extra.length ? ' ' + extra.join(' ') : ''}`;
+}
+
+function createLogger(options = {}) {
+  return new Logger(options || {});
+}
+
+/**
+ * Use an injected logger (context.logger) when it has the four level methods
+ */
+function resolveLogger(candidate, options) {
+  if (candidate && ['debug', 'info', 'warn', 'error'].every(m => typeof candidate[m] === 'function')) return candidate;
+  return createLogger(options);
+}
+
+/**
+ * child() when the logger supports it (injected loggers may not)
+ */
+function childLogger(logger, bindings) {
+  return typeof logger.child === 'function' ? logger.child(bindings) : logger;
+}
+
+module.exports = { Logger, createLogger, resolveLogger, childLogger, LEVELS };
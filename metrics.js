@@ -0,0 +1,108 @@
+/**
+ * Metrics - minimal Prometheus-style registry (counters, gauges, histograms
+ * with labels) rendered in the text exposition format
+ *
+ * Families are declared here so names and help texts live in one place;
+ * collectors registered with onCollect() refresh gauges right before a scrape.
+ */
+const RPC_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15];
+
+const FAMILIES = [
+  ['deltachat_messages_received_total', 'counter', 'Incoming messages delivered to the agent'],
+  ['deltachat_messages_replayed_total', 'counter', 'Incoming messages delivered late by offline catch-up'],
+  ['deltachat_messages_sent_total', 'counter', 'Messages handed to DeltaChat for sending'],
+  ['deltachat_send_failures_total', 'counter', 'Failed send attempts (outbox retries included)'],
+  ['deltachat_rpc_call_duration_seconds', 'histogram', 'Latency of RPC calls made by the channel', RPC_BUCKETS],
+  ['deltachat_rpc_call_timeouts_total', 'counter', 'RPC calls that hit their timeout'],
+  ['deltachat_rpc_call_errors_total', 'counter', 'RPC calls that failed (timeouts included)'],
+  ['deltachat_rpc_restarts_total', 'counter', 'deltachat-rpc-server restarts after a crash'],
+  ['deltachat_connected', 'gauge', 'Whether the account is connected (1) or not (0)'],
+  ['deltachat_outbox_depth', 'gauge', 'Messages waiting in the outbox'],
+  ['deltachat_sse_clients', 'gauge', 'Connected shim event stream clients']
+];
+
+class Metrics {
+  constructor() {
+    // name -> { type, help, buckets, series: Map(labelKey -> { labels, value | buckets/sum/count }) }
+    this.families = new Map();
+    this.collectors = [];
+    for (const [name, type, help, buckets] of FAMILIES) this.define(name, type, help, buckets);
+  }
+
+  define(name, type, help, buckets = null) {
+    if (!this.families.has(name)) this.families.set(name, { type, help, buckets, series: new Map() });
+  }
+
+  inc(name, labels = {}, value = 1) {
+    const s = this._series(name, labels);
+    if (s) s.value += value;
+  }
+
+  set(name, labels = {}, value = 0) {
+    const s = this._series(name, labels);
+    if (s) s.value = Number(value) || 0;
+  }
+
+  observe(name, labels = {}, value = 0) {
+    const s = this._series(name, labels);
+    if (!s) return;
+    const family = this.families.get(name);
+    family.buckets.forEach((le, i) => { if (value <= le) s.buckets[i]++; });
+    s.sum += value;
+    s.count++;
+  }
+
+  /**
+   * fn(metrics) runs before every render, e.g. to set gauges
+   */
+  onCollect(fn) {
+    this.collectors.push(fn);
+  }
+
+  render() {
+    for (const fn of this.collectors) {
+      try { fn(this); } catch (_) {}
+    }
+    const out = [];
+    for (const [name, family] of this.families) {
+      out.push(`# HELP ${name} ${family.help}`);
+      out.push(`# TYPE ${name} ${family.type}`);
+      for (const s of family.series.values()) {
+        if (family.type !== 'histogram') {
+          out.push(`${name}${formatLabels(s.labels)} ${s.value}`);
+          continue;
+        }
+        family.buckets.forEach((le, i) => {
+          out.push(`${name}_bucket${formatLabels({ ...s.labels, le: String(le) })} ${s.buckets[i]}`);
+        });
+        out.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        out.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        out.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+
+  _series(name, labels) {
+    const family = this.families.get(name);
+    if (!family) return null;
+    const key = JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+    let s = family.series.get(key);
+    if (!s) {
+      s = family.type === 'histogram'
+        ? { labels: { ...labels }, buckets: family.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels: { ...labels }, value: 0 };
+      family.series.set(key, s);
+    }
+    return s;
+  }
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  const escape = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return '{' + keys.map(k => `${k}="${escape(labels[k])}"`).join(',') + '}';
+}
+
+module.exports = { Metrics, RPC_BUCKETS };
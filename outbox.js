@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveLogger } = require('./logger');
+
+/**
+ * Outbox - persistent queue for outgoing messages
+ * - append-only JSONL journal (enqueue/retry/sent/failed records),
+ *   compacted when loaded and whenever it outgrows compactAfter records
+ * - delivers in FIFO order per chat while canDeliver() is true, retrying
+ *   failed sends with exponential backoff up to maxAttempts; a chat waiting
+ *   for a retry does not hold up the others, permanent errors fail at once
+ * - deduplicates by idempotency key against pending entries and
+ *   entries sent within dedupeWindow; older sent entries are forgotten
+ */
+class Outbox {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.deliver = options.deliver;
+    this.canDeliver = options.canDeliver || (() => true);
+    this.onSettled = options.onSettled || null;
+    // errors no retry can fix (unknown chat, bad parameters) fail at once
+    this.isPermanent = options.isPermanent || (err => !!(err && err.permanent));
+    this.initialDelay = options.initialDelay || 1000;
+    this.maxDelay = options.maxDelay || 60000;
+    this.maxAttempts = options.maxAttempts || 10;
+    this.dedupeWindow = options.dedupeWindow || 24 * 60 * 60 * 1000;
+    this.compactAfter = options.compactAfter || 1000;
+    this.log = resolveLogger(options.logger);
+
+    this.pending = [];
+    // key -> { msgId, at } for recently sent entries
+    this.sent = new Map();
+    // msgId -> key, so delivery events can be matched to callers
+    this.msgKeys = new Map();
+    this.waiters = new Map();
+    this._timer = null;
+    this._flushing = false;
+    this._closed = false;
+    // records in the journal file, live or not
+    this._journalRecords = 0;
+
+    this._load();
+  }
+
+  /**
+   * Queue an entry; resolves with the DeltaChat msgId once sendMsg succeeded
+   */
+  enqueue(entry) {
+    // entries without a caller key get one for the journal and waiters
+    // only: nobody can send it again, so it is forgotten once sent
+    const auto = !entry.key;
+    const key = entry.key || `auto-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+    const sent = this.sent.get(key);
+    if (sent) return Promise.resolve(sent.msgId);
+
+    const promise = new Promise((resolve, reject) => {
+      if (!this.waiters.has(key)) this.waiters.set(key, []);
+      this.waiters.get(key).push({ resolve, reject });
+    });
+
+    if (!this.pending.some(e => e.key === key)) {
+      const queued = { ...entry, key, attempts: 0, createdAt: Date.now(), nextAttemptAt: 0, ...(auto && { auto }) };
+      this.pending.push(queued);
+      this._append({ op: 'enqueue', entry: queued });
+    }
+
+    this.flush().catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Number of entries waiting to be sent
+   */
+  size() {
+    return this.pending.length;
+  }
+
+  /**
+   * Whether an entry with this key is pending or was sent within dedupeWindow
+   */
+  has(key) {
+    return this.sent.has(key) || this.pending.some(e => e.key === key);
+  }
+
+  keyForMsgId(msgId) {
+    return this.msgKeys.get(String(msgId)) || null;
+  }
+
+  /**
+   * Deliver pending entries until the queue is empty, delivery is not
+   * possible, or every chat's head entry has to wait for its next retry
+   */
+  async flush() {
+    if (this._flushing || this._closed) return;
+    this._flushing = true;
+    try {
+      while (this.pending.length > 0 && !this._closed) {
+        if (!this.canDeliver()) return;
+
+        const heads = this._heads();
+        const now = Date.now();
+        const entry = heads.find(e => e.nextAttemptAt <= now);
+        if (!entry) {
+          this._schedule(Math.min(...heads.map(e => e.nextAttemptAt)) - now);
+          return;
+        }
+
+        let msgId;
+        try {
+          msgId = String(await this.deliver(entry));
+        } catch (e) {
+          entry.attempts++;
+          const error = String(e && e.message ? e.message : e);
+          const permanent = this.isPermanent(e);
+          if (permanent || entry.attempts >= this.maxAttempts) {
+            this._remove(entry);
+            this._append({ op: 'failed', key: entry.key, error });
+            this._settle(entry, null, new Error(permanent ? `outbox: ${error}` : `outbox: giving up after ${entry.attempts} attempts: ${error}`));
+            continue;
+          }
+          const delay = Math.min(this.maxDelay, this.initialDelay * Math.pow(2, entry.attempts - 1));
+          entry.nextAttemptAt = Date.now() + delay;
+          this._append({ op: 'retry', key: entry.key, attempts: entry.attempts, nextAttemptAt: entry.nextAttemptAt, error });
+          this.log.warn(`DeltaChat outbox: send ${entry.key} failed (attempt ${entry.attempts}), retry in ${delay}ms: ${error}`);
+          // the other chats go on meanwhile
+          continue;
+        }
+
+        this._remove(entry);
+        this._pruneSent();
+        if (!entry.auto) {
+          this.sent.set(entry.key, { msgId, at: Date.now() });
+          this.msgKeys.set(msgId, entry.key);
+        }
+        this._append({ op: 'sent', key: entry.key, msgId, at: Date.now(), ...(entry.auto && { auto: true }) });
+        this._settle(entry, msgId, null);
+        if (this._journalRecords > Math.max(this.compactAfter, 2 * (this.pending.length + this.sent.size))) this._compact();
+      }
+    } finally {
+      this._flushing = false;
+    }
+  }
+
+  /**
+   * Oldest pending entry of every chat; a chat's entries go out in order
+   */
+  _heads() {
+    const seen = new Set();
+    const heads = [];
+    for (const entry of this.pending) {
+      if (seen.has(entry.chatId)) continue;
+      seen.add(entry.chatId);
+      heads.push(entry);
+    }
+    return heads;
+  }
+
+  _remove(entry) {
+    const i = this.pending.indexOf(entry);
+    if (i >= 0) this.pending.splice(i, 1);
+  }
+
+  /**
+   * Stop retry timers; pending entries stay in the journal for next start
+   */
+  close() {
+    this._closed = true;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    for (const [key, list] of this.waiters) {
+      for (const w of list) {
+        try { w.reject(new Error('outbox closed')); } catch (_) {}
+      }
+      this.waiters.delete(key);
+    }
+  }
+
+  _settle(entry, msgId, err) {
+    if (this.onSettled) {
+      try { this.onSettled(entry, msgId, err); } catch (_) {}
+    }
+    const list = this.waiters.get(entry.key) || [];
+    this.waiters.delete(entry.key);
+    for (const w of list) {
+      try { err ? w.reject(err) : w.resolve(msgId); } catch (_) {}
+    }
+  }
+
+  _schedule(delay) {
+    if (this._closed) return;
+    // a later retry must not keep an earlier one waiting
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flush().catch(() => {});
+    }, Math.max(0, delay));
+  }
+
+  _append(record) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+      this._journalRecords++;
+    } catch (e) {
+      this.log.error('DeltaChat outbox write failed', { err: e });
+    }
+  }
+
+  /**
+   * Replay the journal, then rewrite it with only what is still relevant
+   */
+  _load() {
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      if (!fs.existsSync(this.filePath)) return;
+
+      const byKey = new Map();
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let rec;
+        try { rec = JSON.parse(line); } catch (_) { continue; }
+        if (rec.op === 'enqueue' && rec.entry) {
+          byKey.set(rec.entry.key, { ...rec.entry });
+        } else if (rec.op === 'retry' && byKey.has(rec.key)) {
+          Object.assign(byKey.get(rec.key), { attempts: rec.attempts, nextAttemptAt: rec.nextAttemptAt });
+        } else if (rec.op === 'sent') {
+          byKey.delete(rec.key);
+          if (!rec.auto) this.sent.set(rec.key, { msgId: rec.msgId, at: rec.at });
+        } else if (rec.op === 'failed') {
+          byKey.delete(rec.key);
+        }
+      }
+
+      const cutoff = Date.now() - this.dedupeWindow;
+      for (const [key, s] of this.sent) {
+        if (!s.at || s.at < cutoff) this.sent.delete(key);
+        else this.msgKeys.set(String(s.msgId), key);
+      }
+      this.pending = Array.from(byKey.values()).sort((a, b) => a.createdAt - b.createdAt);
+      this._compact();
+
+      if (this.pending.length > 0) {
+        this.log.info(`DeltaChat outbox: ${this.pending.length} pending message(s) restored`);
+      }
+    } catch (e) {
+      this.log.error('DeltaChat outbox load failed', { err: e });
+    }
+  }
+
+  /**
+   * Forget sent entries older than dedupeWindow; the map is in send order
+   */
+  _pruneSent() {
+    const cutoff = Date.now() - this.dedupeWindow;
+    for (const [key, s] of this.sent) {
+      if (s.at && s.at >= cutoff) break;
+      this.sent.delete(key);
+      if (this.msgKeys.get(String(s.msgId)) === key) this.msgKeys.delete(String(s.msgId));
+    }
+  }
+
+  /**
+   * Rewrite the journal with only the pending and remembered sent entries
+   */
+  _compact() {
+    const records = this.pending.map(entry => ({ op: 'enqueue', entry }));
+    for (const [key, s] of this.sent) records.push({ op: 'sent', key, msgId: s.msgId, at: s.at });
+    try {
+      const tmp = this.filePath + '.tmp';
+      fs.writeFileSync(tmp, records.map(r => JSON.stringify(r) + '\n').join(''));
+      fs.renameSync(tmp, this.filePath);
+      this._journalRecords = records.length;
+    } catch (e) {
+      this.log.error('DeltaChat outbox compaction failed', { err: e });
+    }
+  }
+}
+
+module.exports = { Outbox };
@@ -1,11 +1,15 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { PROTOCOL_VERSION, PROTOCOL_HEADER, ShimError, encodeShimValue } = require('./shim-protocol');
+const { isNewerEventId } = require('./event-log');
+const { resolveLogger, childLogger } = require('./logger');
+const { accountConfigs } = require('./config');
 
 // Minimal shim client plugin - talks to runner shim over unix socket /tmp/deltachat.sock
 // Defensive: avoid invoking host accessors, and never throw synchronously from register/activate.
 
-const SHIM_SOCKET = process.env.DELTACHAT_SHIM_SOCKET || '/tmp/deltachat.sock';
+const DEFAULT_SHIM_SOCKET = '/tmp/deltachat.sock';
 
 function safeGet(obj, prop) {
   try {
@@ -16,6 +20,50 @@ function safeGet(obj, prop) {
   } catch (e) { return undefined; }
 }
 
+function readChannelConfig() {
+  try {
+    // same lookup as config.js: OPENCLAW_CONFIG, else $OPENCLAW_HOME/openclaw.json
+    const home = process.env.OPENCLAW_HOME || path.join(process.env.HOME || '/root', '.openclaw');
+    const globalCfgPath = process.env.OPENCLAW_CONFIG || path.join(home, 'openclaw.json');
+    if (!fs.existsSync(globalCfgPath)) return null;
+    const globalCfg = JSON.parse(fs.readFileSync(globalCfgPath, 'utf8'));
+    const ch = globalCfg && globalCfg.channels && globalCfg.channels.deltachat;
+    return (ch && ch.config) || null;
+  } catch (e) { return null; }
+}
+
+// Per-account config, the accounts the runner serves: top-level email is
+// 'default', plus the enabled config.accounts entries
+function accountEntries(chCfg) {
+  const out = {};
+  if (!chCfg) return out;
+  for (const acct of accountConfigs(chCfg)) out[acct.accountKey] = acct;
+  return out;
+}
+
+function listAccountIds(cfg) {
+  try { return Object.keys(accountEntries(readChannelConfig())); } catch (e) { return []; }
+}
+
+function resolveAccount(cfg, accountId) {
+  try {
+    const entries = accountEntries(readChannelConfig());
+    const id = accountId || 'default';
+    const acct = entries[id];
+    if (!acct) return null;
+    return {
+      id,
+      label: acct.label || acct.displayName || acct.email,
+      email: acct.email || null,
+      displayName: acct.displayName || null,
+      server: acct.server || null,
+      // disabled accounts are not listed at all
+      enabled: true,
+      configured: !!(acct.email && acct.password)
+    };
+  } catch (e) { return null; }
+}
+
 function register(pluginContext) {
   const meta = { id: 'openclaw-deltachat-channel', name: 'Delta Chat (shim)' };
   try {
@@ -24,10 +72,7 @@ function register(pluginContext) {
       const descriptor = {
         id: 'deltachat',
         meta: { label: 'Delta Chat (shim)', blurb: 'Delta Chat via external runner shim' },
-        config: {
-          listAccountIds: function(cfg) { return []; },
-          resolveAccount: function(cfg, accountId) { return null; }
-        },
+        config: { listAccountIds, resolveAccount },
         createChannel: (config, hostCtx) => createProxyChannel(config || {}, hostCtx || {})
       };
       try { reg.call(pluginContext, { plugin: descriptor }); console.log('register(): shim descriptor registered'); } catch (e) { console.error('register(): registerChannel failed', e && e.stack?e.stack:e); }
@@ -44,10 +89,7 @@ function activate(context) {
       const descriptor = {
         id: 'deltachat',
         meta: { label: 'Delta Chat (shim)', blurb: 'Delta Chat via external runner shim' },
-        config: {
-          listAccountIds: function(cfg) { return []; },
-          resolveAccount: function(cfg, accountId) { return null; }
-        },
+        config: { listAccountIds, resolveAccount },
         createChannel: (config, hostCtx) => createProxyChannel(config || {}, hostCtx || {})
       };
       try { reg.call(context, { plugin: descriptor }); console.log('activate(): shim descriptor registered via context.registerChannel'); } catch (e) { console.error('activate(): registerChannel failed', e && e.stack?e.stack:e); }
@@ -61,18 +103,85 @@ function activate(context) {
   };
 }
 
-function shimCall(method, params, timeout = 15000) {
+// Socket and token must match the runner: channels.deltachat.config.shim or env.
+// Reads openclaw.json, so callers keep the result instead of asking per call
+function shimSettings() {
+  const shim = (readChannelConfig() || {}).shim || {};
+  let token = process.env.DELTACHAT_SHIM_TOKEN || shim.token || null;
+  if (!token && shim.tokenFile) {
+    try { token = fs.readFileSync(shim.tokenFile, 'utf8').trim() || null; } catch (e) {}
+  }
+  return { socketPath: process.env.DELTACHAT_SHIM_SOCKET || shim.socketPath || DEFAULT_SHIM_SOCKET, token };
+}
+
+function shimHeaders(shim, extra = {}) {
+  const headers = { [PROTOCOL_HEADER]: String(PROTOCOL_VERSION), ...extra };
+  if (shim.token) headers.Authorization = `Bearer ${shim.token}`;
+  return headers;
+}
+
+function readStreamToBuffer(stream) {
   return new Promise((resolve, reject) => {
-    const body = JSON.stringify({ method, params });
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Streams cannot cross the socket; drain them into buffers first
+async function resolveFileForShim(file) {
+  const isStream = (obj) => !!obj && typeof obj === 'object' && typeof obj.pipe === 'function' && typeof obj.on === 'function';
+  if (isStream(file)) return readStreamToBuffer(file);
+  if (file && typeof file === 'object' && isStream(file.stream)) {
+    const { stream, ...rest } = file;
+    return { ...rest, buffer: await readStreamToBuffer(stream) };
+  }
+  return file;
+}
+
+let nextRpcId = 1;
+
+// socket errors meaning the runner is not there (or went away mid-call)
+const SHIM_DOWN_ERRORS = ['ENOENT', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE'];
+
+function shimFailure(name, message) {
+  return new ShimError({ message, data: { name } });
+}
+
+/**
+ * JSON-RPC call to the runner; rejects with a ShimError carrying the
+ * protocol error name in .code (NOT_READY, INVALID_PARAMS, ...) or one of
+ * the transport codes SHIM_DOWN, TIMEOUT, ABORTED.
+ * options: { timeout = 15000 (whole call), accountId, signal (AbortSignal),
+ *            shim (shimSettings() result; read here when missing) }
+ */
+function shimCall(method, params, options = {}) {
+  const { timeout = 15000, accountId = null, signal = null } = options;
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(shimFailure('ABORTED', `shim call ${method} aborted`));
+      return;
+    }
+    const shim = options.shim || shimSettings();
+    const request = { jsonrpc: '2.0', id: nextRpcId++, method, params: encodeShimValue(params || []) };
+    if (accountId != null) request.account = accountId;
+    const body = JSON.stringify(request);
     const opts = {
-      socketPath: SHIM_SOCKET,
-      path: '/call',
+      socketPath: shim.socketPath,
+      path: '/rpc',
       method: 'POST',
-      headers: {
+      headers: shimHeaders(shim, {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(body)
-      },
-      timeout
+      })
+    };
+
+    let timer = null;
+    const onAbort = () => req.destroy(shimFailure('ABORTED', `shim call ${method} aborted`));
+    const done = () => {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
     };
 
     const req = http.request(opts, (res) => {
@@ -80,109 +189,386 @@ function shimCall(method, params, timeout = 15000) {
       res.setEncoding('utf8');
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
-        try {
-          const parsed = data ? JSON.parse(data) : {};
-          if (parsed && parsed.ok) resolve(parsed.result);
-          else reject(new Error(parsed && parsed.error ? parsed.error : `shim-call failed status=${res.statusCode}`));
-        } catch (e) { reject(e); }
+        done();
+        let parsed;
+        try { parsed = data ? JSON.parse(data) : null; } catch (e) {
+          reject(new Error(`shim returned invalid JSON (status ${res.statusCode})`));
+          return;
+        }
+        if (parsed && parsed.error) reject(new ShimError(parsed.error));
+        else if (parsed && Object.prototype.hasOwnProperty.call(parsed, 'result')) resolve(parsed.result);
+        else reject(new Error(`shim call ${method} failed status=${res.statusCode}`));
       });
     });
-    req.on('error', (e) => reject(e));
+    req.on('error', (e) => {
+      done();
+      if (e instanceof ShimError) reject(e);
+      else if (e && SHIM_DOWN_ERRORS.includes(e.code)) reject(shimFailure('SHIM_DOWN', `shim unavailable (${e.code}) during ${method}`));
+      else reject(e);
+    });
+    // a deadline for the whole call, not just socket inactivity
+    timer = setTimeout(() => req.destroy(shimFailure('TIMEOUT', `shim call ${method} timed out after ${timeout}ms`)), timeout);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
     req.write(body);
     req.end();
   });
 }
 
-function subscribeEvents(onEvent) {
-  // SSE over unix socket
-  try {
-    const opts = {
-      socketPath: SHIM_SOCKET,
-      path: '/events',
-      method: 'GET',
-      headers: { 'Accept': 'text/event-stream' }
-    };
-    const req = http.request(opts, (res) => {
+/**
+ * Resumable SSE subscription: reconnects with jittered backoff and sends
+ * Last-Event-ID so the runner replays what was missed; an event id is
+ * never delivered twice. onState('up' | 'down', reason) reports the
+ * stream; a stream silent for longer than options.idleTimeout (the runner
+ * pings every 15s) counts as dead. options.settings(reconnect) gives the
+ * socket and token for each connect; reconnect is false only for the
+ * first one. Returns { close(), retryNow() }.
+ */
+function subscribeEvents(onEvent, onState = () => {}, options = {}) {
+  const { idleTimeout = 45000, settings = shimSettings } = options;
+  let lastEventId = null;
+  let req = null;
+  let timer = null;
+  let attempt = 0;
+  let closed = false;
+
+  const scheduleReconnect = () => {
+    if (closed || timer) return;
+    const base = Math.min(30000, 500 * Math.pow(2, attempt));
+    const delay = Math.round(base / 2 + Math.random() * base / 2);
+    attempt++;
+    timer = setTimeout(() => {
+      timer = null;
+      connect(true);
+    }, delay);
+  };
+
+  const dispatch = (block) => {
+    let id = null;
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('id:')) id = line.slice(3).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    if (data.length === 0) return;
+    if (id) {
+      if (lastEventId && !isNewerEventId(id, lastEventId)) return;
+      lastEventId = id;
+    }
+    let obj;
+    try { obj = JSON.parse(data.join('\n')); } catch (e) { return; }
+    onEvent(obj);
+  };
+
+  const connect = (reconnect = false) => {
+    if (closed) return;
+    const shim = settings(reconnect);
+    const headers = shimHeaders(shim, { 'Accept': 'text/event-stream' });
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+    const current = http.request({ socketPath: shim.socketPath, path: '/events', method: 'GET', headers }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        onDown(new Error(`event stream refused (status ${res.statusCode})`));
+        return;
+      }
+      attempt = 0;
+      onState('up', null);
       res.setEncoding('utf8');
       let buf = '';
+      let idle = null;
+      const touch = () => {
+        if (idle) clearTimeout(idle);
+        idle = setTimeout(() => current.destroy(new Error(`no data for ${idleTimeout}ms`)), idleTimeout);
+      };
+      touch();
+      res.on('close', () => { if (idle) clearTimeout(idle); });
       res.on('data', chunk => {
+        touch();
         buf += chunk;
-        let parts = buf.split('\n\n');
-        while (parts.length > 1) {
-          const chunkBlock = parts.shift();
-          buf = parts.join('\n\n');
-          // parse lines beginning with data:
-          const lines = chunkBlock.split('\n');
-          for (const line of lines) {
-            if (line.startsWith('data:')) {
-              const json = line.slice(5).trim();
-              try { const obj = JSON.parse(json); onEvent(obj); } catch (e) {}
-            }
-          }
+        let idx;
+        while ((idx = buf.indexOf('\n\n')) >= 0) {
+          const block = buf.slice(0, idx);
+          buf = buf.slice(idx + 2);
+          dispatch(block);
         }
       });
-      res.on('end', () => { /* server closed */ });
+      res.on('end', () => onDown(new Error('stream ended')));
+      res.on('error', onDown);
+      res.on('close', () => onDown(new Error('stream closed')));
     });
-    req.on('error', (e) => { /* ignore, shim may be down */ });
-    req.end();
-    return req; // so caller can abort()
-  } catch (e) { return null; }
+    // only the live request may trigger a reconnect
+    const onDown = (e) => {
+      if (req !== current) return;
+      req = null;
+      onState('down', e && e.message ? e.message : String(e || 'stream closed'));
+      scheduleReconnect();
+    };
+    req = current;
+    current.on('error', onDown);
+    current.end();
+  };
+
+  connect();
+  return {
+    // skip the remaining backoff, e.g. once a call got through again
+    retryNow() {
+      if (closed || !timer) return;
+      clearTimeout(timer);
+      timer = null;
+      connect(true);
+    },
+
+    close() {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      const current = req;
+      req = null;
+      try { if (current) current.destroy(); } catch (_) {}
+    }
+  };
 }
 
 function createProxyChannel(config, hostCtx) {
   // Proxy implements async methods used by Gateway: init, stop, send, listChats, getChat, getSelf, onMessage
-  let eventReq = null;
+  let events = null;
   let messageHandler = null;
+  let deliveryHandler = null;
+  let eventHandler = null;
   let stopped = false;
+  // OpenClaw account this proxy serves; null lets the runner pick its first account
+  const accountId = config.accountId || hostCtx.accountId || null;
+  const log = childLogger(resolveLogger(hostCtx.logger), { account: accountId || 'default', component: 'shim-proxy' });
+  // how long calls wait for a restarting runner before failing
+  const retryWindow = Number(config.shimRetryWindow) > 0 ? Number(config.shimRetryWindow) : 30000;
+  // socket and token: read once, and again whenever the event stream
+  // reconnects (the runner may have come back with a new token)
+  let shim = shimSettings();
+  const shimFor = reconnect => (reconnect ? (shim = shimSettings()) : shim);
+
+  // event stream state: 'connecting' until the first connect, then 'up' / 'down'
+  let connection = { state: 'connecting', since: Date.now(), reason: null };
+  let upWaiters = [];
+
+  function setConnectionState(state, reason) {
+    if (connection.state === state) return;
+    connection = { state, since: Date.now(), reason: reason || null };
+    log[state === 'up' ? 'info' : 'warn'](`deltachat shim: ${state}`, reason ? { reason } : undefined);
+    if (state === 'up') {
+      const waiters = upWaiters;
+      upWaiters = [];
+      for (const w of waiters) w();
+    }
+    if (typeof eventHandler === 'function') {
+      try { eventHandler({ type: 'shim_connection', accountId, payload: { ...connection } }); } catch (e) { log.error('proxy onEvent handler error', { err: e }); }
+    }
+  }
+
+  // resolves true once the stream is up, false after ms
+  function waitForShim(ms) {
+    if (connection.state === 'up') return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const waiter = () => { clearTimeout(timer); resolve(true); };
+      const timer = setTimeout(() => {
+        upWaiters = upWaiters.filter(w => w !== waiter);
+        resolve(false);
+      }, ms);
+      upWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * shimCall for this account; while the runner is down or still starting
+   * (SHIM_DOWN / NOT_READY) the call is retried for up to retryWindow ms
+   */
+  async function call(method, params, timeout, signal = null) {
+    const deadline = Date.now() + retryWindow;
+    for (;;) {
+      try {
+        const result = await shimCall(method, params, { timeout, accountId, signal, shim });
+        if (connection.state === 'down' && events) events.retryNow();
+        return result;
+      } catch (e) {
+        const code = e && e.code;
+        const remaining = deadline - Date.now();
+        if ((code !== 'SHIM_DOWN' && code !== 'NOT_READY') || stopped || remaining <= 0 || (signal && signal.aborted)) throw e;
+        if (code === 'SHIM_DOWN') {
+          setConnectionState('down', e.message);
+          // woken by the event stream reconnecting; polls again after 1s otherwise
+          await waitForShim(Math.min(1000, remaining));
+        } else {
+          await new Promise(r => setTimeout(r, Math.min(1000, remaining)));
+        }
+      }
+    }
+  }
+
+  // sends to one chat keep their order while they wait for the runner;
+  // other chats do not queue behind them
+  const sendChains = new Map();
+  function queueSend(chatId, fn) {
+    const key = String(chatId);
+    const next = (sendChains.get(key) || Promise.resolve()).then(fn);
+    const chain = next.catch(() => {});
+    sendChains.set(key, chain);
+    chain.then(() => { if (sendChains.get(key) === chain) sendChains.delete(key); });
+    return next;
+  }
+
+  // a key lets the runner's outbox drop the duplicate if a retried send
+  // had already arrived before the connection broke
+  function sendOptions(options) {
+    const { signal, ...rest } = options || {};
+    if (!rest.idempotencyKey) rest.idempotencyKey = `proxy-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    return { options: rest, signal: signal || null };
+  }
 
   const proxy = {
     async init() {
-      // ask shim to ensure channel is ready; call a noop-ish method (getSelf) to confirm
+      // handshake: the runner has to speak our protocol version and serve this account
       try {
-        await shimCall('noop', []);
+        const hello = await shimCall('hello', [], { timeout: 5000, accountId, shim });
+        if (accountId && Array.isArray(hello.accounts) && !hello.accounts.includes(accountId)) {
+          log.error(`deltachat shim: runner does not serve account ${accountId}`, { accounts: hello.accounts });
+        }
       } catch (e) {
-        // if noop missing, fallback to getSelf
-        try { await shimCall('getSelf', []); } catch (err) { /* ignore */ }
+        // the runner may still be starting; events and calls work once it is up
+        log.warn('deltachat shim: handshake failed', { err: e && e.message ? e.message : e });
       }
       // subscribe to events
       try {
-        eventReq = subscribeEvents((ev) => {
+        events = subscribeEvents((ev) => {
+          if (accountId && ev && ev.accountId && ev.accountId !== accountId) return;
           if (ev && ev.type === 'message' && ev.payload) {
             if (typeof messageHandler === 'function') {
-              try { messageHandler(ev.payload); } catch (e) { console.error('proxy onMessage handler error', e && e.stack?e.stack:e); }
+              try { messageHandler(ev.payload); } catch (e) { log.error('proxy onMessage handler error', { err: e }); }
+            }
+          } else if (ev && ev.type === 'delivery' && ev.payload) {
+            if (typeof deliveryHandler === 'function') {
+              try { deliveryHandler(ev.payload); } catch (e) { log.error('proxy onDeliveryStatus handler error', { err: e }); }
+            }
+          } else if (ev && ev.type && ev.payload) {
+            if (typeof eventHandler === 'function') {
+              try { eventHandler(ev); } catch (e) { log.error('proxy onEvent handler error', { err: e }); }
             }
           }
-        });
+        }, (state, reason) => setConnectionState(state, reason), { settings: shimFor });
       } catch (e) {}
     },
 
     async stop() {
       stopped = true;
-      try { if (eventReq && typeof eventReq.abort === 'function') eventReq.abort(); } catch (_) {}
-      try { await shimCall('stop', []); } catch (_) {}
+      // the runner keeps its channels; only our subscription ends
+      try { if (events) events.close(); } catch (_) {}
     },
 
     onMessage(cb) {
       messageHandler = cb;
     },
 
+    onDeliveryStatus(cb) {
+      deliveryHandler = cb;
+    },
+
+    // every other SSE event type: reaction, message_edited, message_deleted, securejoin
+    onEvent(cb) {
+      eventHandler = cb;
+    },
+
+    // 'up', 'down' or 'connecting', with when and why it last changed;
+    // changes are also emitted to onEvent as type 'shim_connection'
+    getConnectionState() {
+      return { ...connection };
+    },
+
+    // the runner queues sends in its outbox, so allow for a restart in between
+    // options.signal (AbortSignal) cancels a send that has not been accepted yet
     async send(chatId, text, options = {}) {
-      try {
-        const res = await shimCall('sendMsg', [chatId, text, options]);
-        return { id: String(res) };
-      } catch (e) { throw e; }
+      const { options: opts, signal } = sendOptions(options);
+      if (Array.isArray(opts.attachments) && opts.attachments.length > 0) {
+        opts.attachments = await Promise.all(opts.attachments.map(resolveFileForShim));
+      }
+      return queueSend(chatId, () => call('send', [chatId, text, opts], 120000, signal));
     },
 
-    async listChats() {
-      try { return await shimCall('listChats', []); } catch (e) { return []; }
+    async sendFile(chatId, file, options = {}) {
+      const { options: opts, signal } = sendOptions(options);
+      const resolved = await resolveFileForShim(file);
+      return queueSend(chatId, () => call('sendFile', [chatId, resolved, opts], 120000, signal));
     },
 
-    async getChat(chatId) {
-      try { return await shimCall('getChat', [chatId]); } catch (e) { return null; }
+    // reads fail with a ShimError once the retry window is over instead of
+    // pretending there is nothing
+    listChats() { return call('listChats', []); },
+    getChat(chatId) { return call('getChat', [chatId]); },
+    getSelf() { return call('getSelf', []); },
+
+    // group management: errors propagate so callers know the change did not happen
+    createGroup(name, options = {}) { return call('createGroup', [name, options]); },
+    createBroadcast(name, options = {}) { return call('createBroadcast', [name, options]); },
+    addMembers(chatId, addresses) { return call('addMembers', [chatId, addresses]); },
+    removeMembers(chatId, addresses) { return call('removeMembers', [chatId, addresses]); },
+    renameChat(chatId, name) { return call('renameChat', [chatId, name]); },
+    leaveGroup(chatId) { return call('leaveGroup', [chatId]); },
+
+    async setChatImage(chatId, image) {
+      const resolved = image == null ? null : await resolveFileForShim(image);
+      return call('setChatImage', [chatId, resolved], 60000);
     },
 
-    async getSelf() {
-      try { return await shimCall('getSelf', []); } catch (e) { return null; }
+    getChatMembers(chatId) { return call('getChatMembers', [chatId]); },
+
+    // contacts are addressed by email (numeric contact ids also accepted)
+    getContact(addressOrId) { return call('getContact', [addressOrId]); },
+    listContacts(options = {}) { return call('listContacts', [options]); },
+
+    createContact(address, name = null) { return call('createContact', [address, name]); },
+    reloadPolicy(policyConfig) { return call('reloadPolicy', [policyConfig]); },
+
+    /**
+     * Streamed reply over the shim: { streamId, msgId, write(text), end(finalText), abort() }.
+     * Writes are chained so chunks reach the runner in order.
+     */
+    async sendStream(chatId, options = {}) {
+      const { streamId, msgId } = await call('startStream', [chatId, options]);
+      let chain = Promise.resolve();
+      const enqueue = (fn) => {
+        const next = chain.then(fn);
+        chain = next.catch(() => {});
+        return next;
+      };
+      return {
+        streamId,
+        msgId,
+        write: (text) => enqueue(() => call('appendStream', [streamId, text])),
+        end: (finalText) => enqueue(() => call('finishStream', [streamId, finalText], 60000)),
+        abort: () => enqueue(() => call('abortStream', [streamId]))
+      };
+    },
+
+    react(chatId, msgId, emoji) { return call('react', [chatId, msgId, emoji]); },
+    editMessage(chatId, msgId, text) { return call('editMessage', [chatId, msgId, text]); },
+    deleteMessages(chatId, msgIds, options = {}) { return call('deleteMessages', [chatId, msgIds, options]); },
+    markSeen(msgIds) { return call('markSeen', [msgIds]); },
+
+    // history for rebuilding context: { messages, nextCursor }, see channel.js
+    getMessages(chatId, options = {}) { return call('getMessages', [chatId, options]); },
+    searchMessages(query, options = {}) { return call('searchMessages', [query, options]); },
+
+    // SecureJoin onboarding
+    getInvite(chatId = null) { return call('getInvite', [chatId]); },
+    joinInvite(qr) { return call('joinInvite', [qr]); },
+    blockContact(addressOrId) { return call('blockContact', [addressOrId]); },
+    unblockContact(addressOrId) { return call('unblockContact', [addressOrId]); },
+
+    // answers right away (no retry window) so health checks see an outage
+    async getStatus() {
+      try {
+        const status = await shimCall('getStatus', [], { timeout: 5000, accountId, shim });
+        return { ...status, shim: 'up', eventStream: { ...connection } };
+      } catch (e) {
+        return { accountId, connected: false, shim: 'down', eventStream: { ...connection }, error: String(e && e.message ? e.message : e) };
+      }
     }
   };
 
@@ -199,35 +585,4 @@ module.exports = {
 };
 
 // Ensure top-level module.exports.config exists for host compatibility
-try {
-  const fs = require('fs');
-  const path = require('path');
-  const home = process.env.HOME || '/root';
-  if (!module.exports.config) {
-    module.exports.config = {
-      listAccountIds: function(cfg) {
-        try {
-          const globalCfgPath = path.join(home, '.openclaw', 'openclaw.json');
-          if (!fs.existsSync(globalCfgPath)) return [];
-          const globalCfg = JSON.parse(fs.readFileSync(globalCfgPath, 'utf8'));
-          const ch = globalCfg && globalCfg.channels && globalCfg.channels.deltachat;
-          if (ch && ch.config && ch.config.email) return ['default'];
-        } catch (e) {}
-        return [];
-      },
-      resolveAccount: function(cfg, accountId) {
-        try {
-          const globalCfgPath = path.join(home, '.openclaw', 'openclaw.json');
-          if (!fs.existsSync(globalCfgPath)) return null;
-          const globalCfg = JSON.parse(fs.readFileSync(globalCfgPath, 'utf8'));
-          const ch = globalCfg && globalCfg.channels && globalCfg.channels.deltachat;
-          if (!ch || !ch.config) return null;
-          if (!accountId || accountId === 'default') {
-            return { id: 'default', label: ch.config.email };
-          }
-        } catch (e) {}
-        return null;
-      }
-    };
-  }
-} catch (e) {}
+module.exports.config = { listAccountIds, resolveAccount };
@@ -0,0 +1,90 @@
+/**
+ * AccessPolicy - decides which incoming messages reach the agent
+ *
+ * Config (channels.deltachat.config.policy, or per account in accounts.<id>.policy):
+ *   allow:            addresses or domains ('alice@example.org', 'example.org',
+ *                     '@example.org'); empty or missing = everyone
+ *   deny:             same format, checked before allow
+ *   directMessages:   accept 1:1 chats (default true)
+ *   groups:           accept group / mailing list / broadcast chats (default true)
+ *   requireVerified:  only senders verified via SecureJoin (default false)
+ *   contactRequests:  'deliver' (default), 'accept', 'reject' or 'block'
+ *   chats:            { '<chatId>': 'allow' | 'deny' } per-chat overrides
+ */
+const CONTACT_REQUEST_ACTIONS = ['deliver', 'accept', 'reject', 'block'];
+
+class AccessPolicy {
+  constructor(config = {}) {
+    this.update(config);
+  }
+
+  /**
+   * Replace the rules (used for reloads without restarting)
+   */
+  update(config = {}) {
+    const cfg = config || {};
+    this.allow = normalizeList(cfg.allow);
+    this.deny = normalizeList(cfg.deny);
+    this.directMessages = cfg.directMessages !== false;
+    this.groups = cfg.groups !== false;
+    this.requireVerified = !!cfg.requireVerified;
+    this.contactRequests = CONTACT_REQUEST_ACTIONS.includes(cfg.contactRequests) ? cfg.contactRequests : 'deliver';
+    this.chats = (cfg.chats && typeof cfg.chats === 'object') ? { ...cfg.chats } : {};
+  }
+
+  /**
+   * Evaluate a normalized message
+   * Returns { allowed, reason, action } where action is what to do with a
+   * contact request chat: null, 'accept' or 'block'
+   */
+  evaluate(message) {
+    const from = (message && message.from) || {};
+    const chat = (message && message.chat) || {};
+    const address = from.address ? String(from.address).toLowerCase() : null;
+    const isRequest = !!chat.isContactRequest;
+    const requestAction = (allowed) => {
+      if (!isRequest) return null;
+      if (allowed) return this.contactRequests === 'accept' ? 'accept' : null;
+      return this.contactRequests === 'block' ? 'block' : null;
+    };
+    const deny = (reason) => ({ allowed: false, reason, action: requestAction(false) });
+
+    const override = this.chats[String(chat.id)];
+    if (override === 'deny') return deny(`chat ${chat.id} denied`);
+    if (override === 'allow') return { allowed: true, reason: `chat ${chat.id} allowed`, action: requestAction(true) };
+
+    if (address && matches(this.deny, address)) return deny(`sender ${address} is on the deny list`);
+    if (this.allow.length > 0 && (!address || !matches(this.allow, address))) {
+      return deny(`sender ${address || from.id} is not on the allow list`);
+    }
+
+    if (chat.type === 'direct' && !this.directMessages) return deny('direct messages are disabled');
+    if (chat.type !== 'direct' && !this.groups) return deny(`${chat.type || 'group'} chats are disabled`);
+
+    if (this.requireVerified && !from.isVerified) return deny(`sender ${address || from.id} is not verified`);
+
+    if (isRequest && (this.contactRequests === 'reject' || this.contactRequests === 'block')) {
+      return deny(`contact request ${this.contactRequests === 'block' ? 'blocked' : 'rejected'}`);
+    }
+
+    return { allowed: true, reason: null, action: requestAction(true) };
+  }
+}
+
+function normalizeList(list) {
+  if (!Array.isArray(list)) return [];
+  return list.map(item => String(item || '').trim().toLowerCase()).filter(Boolean);
+}
+
+// entries with a local part match exactly; bare or '@'-prefixed domains match
+// the domain and its subdomains
+function matches(list, address) {
+  const domain = address.slice(address.lastIndexOf('@') + 1);
+  return list.some((entry) => {
+    if (entry.includes('@') && !entry.startsWith('@')) return entry === address;
+    const d = entry.replace(/^@/, '');
+    return domain === d || domain.endsWith('.' + d);
+  });
+}
+
+module.exports = { AccessPolicy };
@@ -0,0 +1,158 @@
+const { resolveLogger } = require('./logger');
+
+/**
+ * ReplyStream - progressive agent reply built from message edits
+ * - posts a placeholder, then edits it in place as text arrives
+ * - edits are throttled to one per editInterval ms, since every edit
+ *   goes out as a separate email
+ * - text longer than maxLength continues in follow-up messages; a split
+ *   prefers the last newline or space before the limit
+ * - follow-ups left over when the text shrinks (a shorter finalText) are
+ *   removed, or blanked by an edit when no remove callback is given
+ */
+class ReplyStream {
+  constructor(options = {}) {
+    this.sendMessage = options.send;
+    this.editMessage = options.edit;
+    this.removeMessages = options.remove || null;
+    this.maxLength = options.maxLength || 4000;
+    this.editInterval = options.editInterval || 2000;
+    this.placeholder = options.placeholder == null ? '…' : String(options.placeholder);
+    this.log = resolveLogger(options.logger);
+
+    this.text = '';
+    // [{ id, sentText }] one entry per posted message, in order
+    this.messages = [];
+    this.finished = false;
+    this._lastEditAt = 0;
+    this._timer = null;
+    this._flushing = null;
+    this._dirty = false;
+  }
+
+  /**
+   * Post the placeholder; resolves with its msgId
+   */
+  async start() {
+    const id = await this.sendMessage(this.placeholder);
+    this.messages.push({ id: String(id), sentText: this.placeholder });
+    this._lastEditAt = Date.now();
+    return String(id);
+  }
+
+  append(chunk) {
+    if (this.finished) throw new Error('stream already finished');
+    this.text += String(chunk == null ? '' : chunk);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Flush everything right away; finalText replaces the accumulated text
+   */
+  async finish(finalText) {
+    if (finalText != null) this.text = String(finalText);
+    this.finished = true;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    await this._flush();
+    return { ids: this.messages.map(m => m.id), length: this.text.length };
+  }
+
+  abort() {
+    this.finished = true;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _scheduleFlush() {
+    if (this._timer) return;
+    const wait = Math.max(0, this._lastEditAt + this.editInterval - Date.now());
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._flush().catch((e) => {
+        this.log.error('DeltaChat reply stream flush failed', { err: e });
+      });
+    }, wait);
+  }
+
+  /**
+   * Bring posted messages in line with the text; serialized, and re-run
+   * if more text arrived meanwhile
+   */
+  _flush() {
+    if (this._flushing) {
+      this._dirty = true;
+      return this._flushing;
+    }
+    this._flushing = (async () => {
+      try {
+        do {
+          this._dirty = false;
+          // keep the placeholder until there is something to show
+          if (this.text.length === 0) break;
+          const chunks = splitText(this.text, this.maxLength);
+          for (let i = 0; i < chunks.length; i++) {
+            const chunk = chunks[i];
+            if (i < this.messages.length) {
+              if (this.messages[i].sentText === chunk) continue;
+              await this.editMessage(this.messages[i].id, chunk);
+              this.messages[i].sentText = chunk;
+            } else {
+              const id = await this.sendMessage(chunk);
+              this.messages.push({ id: String(id), sentText: chunk });
+            }
+          }
+          if (this.messages.length > chunks.length) await this._dropSurplus(chunks.length);
+          this._lastEditAt = Date.now();
+        } while (this._dirty && this.finished);
+      } finally {
+        this._flushing = null;
+      }
+      if (this._dirty && !this.finished) this._scheduleFlush();
+    })();
+    return this._flushing;
+  }
+
+  /**
+   * Get rid of the posted messages past the first keep ones
+   */
+  async _dropSurplus(keep) {
+    const surplus = this.messages.slice(keep);
+    if (this.removeMessages) {
+      await this.removeMessages(surplus.map(m => m.id));
+    } else {
+      for (const m of surplus) {
+        if (m.sentText !== '') await this.editMessage(m.id, '');
+      }
+    }
+    this.messages.length = keep;
+  }
+}
+
+/**
+ * Split text into chunks of at most maxLength characters (UTF-16 code
+ * units; a surrogate pair is never split)
+ */
+function splitText(text, maxLength) {
+  const chunks = [];
+  let rest = String(text || '');
+  while (rest.length > maxLength) {
+    let cut = rest.lastIndexOf('\n', maxLength);
+    if (cut < maxLength / 2) cut = rest.lastIndexOf(' ', maxLength);
+    if (cut < maxLength / 2) {
+      cut = maxLength;
+      // not between the two halves of a surrogate pair (emoji and the like)
+      if (/[\ud800-\udbff]/.test(rest[cut - 1])) cut--;
+    }
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^[ \n]/, '');
+  }
+  if (rest.length > 0 || chunks.length === 0) chunks.push(rest);
+  return chunks;
+}
+
+module.exports = { ReplyStream, splitText };
@@ -0,0 +1,434 @@
+const { spawn } = require('child_process');
+const { StdioDeltaChat } = require('@deltachat/jsonrpc-client');
+const fs = require('fs');
+const path = require('path');
+const { resolveLogger, childLogger } = require('./logger');
+
+// One host per accountsPath + rpcServerPath, shared by every channel using it
+const hosts = new Map();
+
+// deltachat-rpc-server logs to stderr as '<time>  LEVEL target: message'
+// (tracing) or '[<time> LEVEL target] message' (env_logger); other lines,
+// even ones that happen to contain a level word, are debug output
+const STDERR_TRACING = /^\d{4}-\d\d-\d\dT\S+\s+(TRACE|DEBUG|INFO|WARN|ERROR)\s+(.*)$/;
+const STDERR_BRACKETED = /^\[(?:\S+\s+)?(TRACE|DEBUG|INFO|WARN|WARNING|ERROR)\s+([\w:]+)\]\s*(.*)$/;
+const STDERR_LEVELS = { TRACE: 'debug', DEBUG: 'debug', INFO: 'info', WARN: 'warn', WARNING: 'warn', ERROR: 'error' };
+
+function parseStderrLine(line) {
+  const tracing = STDERR_TRACING.exec(line);
+  if (tracing) return { level: STDERR_LEVELS[tracing[1]], message: tracing[2] };
+  const bracketed = STDERR_BRACKETED.exec(line);
+  if (bracketed) return { level: STDERR_LEVELS[bracketed[1]], message: `${bracketed[2]}: ${bracketed[3]}` };
+  if (/\bpanicked at\b/.test(line)) return { level: 'error', message: line };
+  return { level: 'debug', message: line };
+}
+
+/**
+ * Run fn() and reject if it does not settle within timeout ms
+ * options.quiet: do not log failures (used for expected ones such as readiness probes)
+ * options.log: logger for failures
+ * options.unref: the timer alone does not keep the process alive
+ * options.inflight: Set the call's rejecter sits in while it runs, so its
+ *   owner can fail it early (DeltaChatRpcHost.failPendingCalls)
+ */
+function callWithTimeout(name, fn, timeout = 15000, options = {}) {
+  const quiet = !!options.quiet;
+  const log = options.log || defaultLog();
+  const inflight = options.inflight || null;
+  let finished = false;
+  return new Promise((resolve, reject) => {
+    const finish = (settle, value) => {
+      if (finished) return false;
+      finished = true;
+      clearTimeout(to);
+      if (inflight) inflight.delete(gone);
+      settle(value);
+      return true;
+    };
+    const gone = err => finish(reject, err);
+    const to = setTimeout(() => {
+      const err = new Error(`rpc ${name} timeout`);
+      err.code = 'RPC_TIMEOUT';
+      if (finish(reject, err) && !quiet) log.error(err.message, { method: name });
+    }, timeout);
+    if (options.unref && to.unref) to.unref();
+    if (inflight) inflight.add(gone);
+
+    Promise.resolve().then(() => fn()).then(res => finish(resolve, res), (e) => {
+      // RPC_GONE: the exit is logged by the host already
+      if (finish(reject, e) && !quiet && !(e && e.code === 'RPC_GONE')) log.error(`rpc ${name} error`, { method: name, err: e });
+    });
+  });
+}
+
+/**
+ * DeltaChatRpcHost - owns a single deltachat-rpc-server process
+ * - hosts any number of DeltaChat accounts in one accountsPath
+ * - runs the only getNextEvent loop and routes events by contextId
+ *   to the channel attached for that DeltaChat account id
+ * - reference counted: the process stops when the last channel releases it
+ * - supervises the process: respawns it with jittered exponential backoff
+ *   after a crash and lets attached channels resume their accounts
+ */
+class DeltaChatRpcHost {
+  /**
+   * Get (or create) the shared host for a channel config
+   */
+  static acquire(config, logger = null) {
+    const key = `${path.resolve(config.accountsPath)}\n${config.rpcServerPath}`;
+    let host = hosts.get(key);
+    if (!host) {
+      host = new DeltaChatRpcHost(config, logger);
+      host._key = key;
+      hosts.set(key, host);
+    }
+    host.refs++;
+    return host;
+  }
+
+  constructor(config = {}, logger = null) {
+    this.log = childLogger(resolveLogger(logger, config.logging), { component: 'rpc' });
+    this.accountsPath = config.accountsPath;
+    this.rpcServerPath = config.rpcServerPath;
+    this.restartPolicy = {
+      initialDelay: config.restartInitialDelay || 1000,
+      maxDelay: config.restartMaxDelay || 60000,
+      // 0 = retry forever
+      maxAttempts: config.restartMaxAttempts || 0,
+      // uptime after which the backoff starts over
+      stableAfter: config.restartStableAfter || 60000
+    };
+    // how long the server may take to answer its first request
+    this.startupTimeout = config.rpcStartupTimeout || 30000;
+    this.readyAfterMs = null;
+    this.rpcProcess = null;
+    this.client = null;
+    this.running = false;
+    this.refs = 0;
+    this.channels = new Map();
+    this.restartCount = 0;
+    this.lastExit = null;
+    this._restartAttempt = 0;
+    this._restartTimer = null;
+    this._startedAt = 0;
+    this._generation = 0;
+    this._starting = null;
+    this._stopping = false;
+    // rejecters of the calls made through callWithTimeout that are still
+    // waiting for this host's server
+    this.inflight = new Set();
+  }
+
+  /**
+   * Spawn the RPC server and create the client; safe to call repeatedly
+   */
+  start() {
+    if (this.running) return Promise.resolve();
+    if (!this._starting) {
+      this._starting = this._start().finally(() => { this._starting = null; });
+    }
+    return this._starting;
+  }
+
+  async _start() {
+    this._stopping = false;
+    this._initAccountsConfig();
+
+    const env = {
+      ...process.env,
+      DC_ACCOUNTS_PATH: this.accountsPath
+    };
+
+    try {
+      this.rpcProcess = spawn(this.rpcServerPath, [], {
+        env,
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+    } catch (err) {
+      this.rpcProcess = null;
+      throw err;
+    }
+
+    const proc = this.rpcProcess;
+
+    let spawnError = null;
+    proc.on('error', (err) => {
+      this.log.error('DeltaChat RPC error event', { err });
+      spawnError = err;
+      this._onProcessGone(proc, { error: err && err.message ? err.message : String(err) });
+    });
+
+    proc.on('exit', (code, signal) => {
+      this.log[this._stopping ? 'debug' : 'warn'](`DeltaChat RPC exited code=${code} signal=${signal}`);
+      this._onProcessGone(proc, { code, signal });
+    });
+
+    proc.on('close', (code, signal) => {
+      this.log.debug(`DeltaChat RPC closed code=${code} signal=${signal}`);
+      this._onProcessGone(proc, { code, signal });
+    });
+
+    // writes racing the exit (e.g. the next getNextEvent) fail with EPIPE;
+    // the exit handlers above deal with the process being gone
+    proc.stdin.on('error', (err) => {
+      this.log.debug('DeltaChat RPC stdin error', { err: err && err.code ? err.code : err });
+    });
+
+    let stderrBuf = '';
+    proc.stderr.on('data', (data) => {
+      stderrBuf += data.toString();
+      const lines = stderrBuf.split('\n');
+      stderrBuf = lines.pop();
+      for (const raw of lines) {
+        const line = raw.trim();
+        if (line.length === 0) continue;
+        const { level, message } = parseStderrLine(line);
+        this.log[level](message, { source: 'rpc-server' });
+      }
+    });
+
+    const client = new StdioDeltaChat(proc.stdin, proc.stdout);
+    const startedAt = Date.now();
+    const exitedReason = () => {
+      if (spawnError) return `rpc server failed to start: ${spawnError.message}`;
+      if (this.rpcProcess !== proc || proc.exitCode !== null || proc.signalCode !== null) {
+        return `rpc server exited during startup (code=${proc.exitCode} signal=${proc.signalCode})`;
+      }
+      return null;
+    };
+
+    // Probe until the server answers instead of guessing with a fixed sleep
+    let lastError = null;
+    for (;;) {
+      const exited = exitedReason();
+      if (exited) throw new Error(exited);
+
+      const remaining = this.startupTimeout - (Date.now() - startedAt);
+      if (remaining <= 0) {
+        try { proc.kill(); } catch (_) {}
+        throw new Error(`rpc server not ready after ${this.startupTimeout}ms` + (lastError ? ` (last probe: ${lastError.message})` : ''));
+      }
+
+      try {
+        await callWithTimeout('getSystemInfo', () => client.rpc.getSystemInfo(), Math.min(2000, remaining), { quiet: true, inflight: this.inflight });
+        break;
+      } catch (e) {
+        lastError = e;
+        await this._sleep(Math.min(100, Math.max(0, remaining)));
+      }
+    }
+
+    this.readyAfterMs = Date.now() - startedAt;
+    this.log.info(`DeltaChat RPC ready after ${this.readyAfterMs}ms`);
+
+    this.client = client;
+    this.running = true;
+    this._startedAt = Date.now();
+    this._startEventLoop();
+  }
+
+  /**
+   * Initialize accounts.toml if needed
+   */
+  _initAccountsConfig() {
+    try {
+      if (!fs.existsSync(this.accountsPath)) {
+        fs.mkdirSync(this.accountsPath, { recursive: true });
+      }
+
+      const accountsToml = path.join(this.accountsPath, 'accounts.toml');
+      if (!fs.existsSync(accountsToml)) {
+        const toml = `next_id = 1\nselected_account = 4294967295\naccounts = []\n`;
+        fs.writeFileSync(accountsToml, toml);
+      }
+    } catch (e) {
+      this.log.error('DeltaChat _initAccountsConfig failed', { err: e });
+    }
+  }
+
+  /**
+   * Route events for a DeltaChat account id to a channel
+   */
+  attach(dcAccountId, channel) {
+    this.channels.set(Number(dcAccountId), channel);
+  }
+
+  detach(dcAccountId, channel) {
+    const key = Number(dcAccountId);
+    if (this.channels.get(key) === channel) this.channels.delete(key);
+  }
+
+  /**
+   * Drop one reference; stops the process when nobody uses it anymore
+   */
+  async release() {
+    this.refs = Math.max(0, this.refs - 1);
+    if (this.refs > 0) return;
+    if (hosts.get(this._key) === this) hosts.delete(this._key);
+    await this.stop();
+  }
+
+  async stop() {
+    this._stopping = true;
+    this.running = false;
+    if (this._restartTimer) {
+      clearTimeout(this._restartTimer);
+      this._restartTimer = null;
+    }
+
+    if (this.rpcProcess) {
+      try {
+        this.rpcProcess.kill();
+      } catch (e) {}
+      this.rpcProcess = null;
+    }
+
+    this.failPendingCalls('rpc server stopped');
+    this.client = null;
+  }
+
+  /**
+   * Reject the calls still waiting for an answer from a server that is gone;
+   * left alone they would hold up their callers (e.g. the catch-up queue)
+   * until their timeout
+   */
+  failPendingCalls(message) {
+    const pending = Array.from(this.inflight);
+    this.inflight.clear();
+    for (const gone of pending) {
+      const err = new Error(message);
+      err.code = 'RPC_GONE';
+      gone(err);
+    }
+  }
+
+  _onProcessGone(proc, reason = {}) {
+    if (proc !== this.rpcProcess) return;
+    this.rpcProcess = null;
+    this.failPendingCalls('rpc server exited');
+    this.client = null;
+    this.lastExit = { ...reason, at: Date.now() };
+
+    const wasRunning = this.running;
+    this.running = false;
+    if (wasRunning) {
+      for (const channel of this.channels.values()) {
+        try { channel._onRpcDown(this.lastExit); } catch (_) {}
+      }
+    }
+
+    // a failed start is retried by _restart() itself
+    if (this._stopping || this._starting) return;
+    if (wasRunning && Date.now() - this._startedAt >= this.restartPolicy.stableAfter) {
+      this._restartAttempt = 0;
+    }
+    this._scheduleRestart();
+  }
+
+  /**
+   * Respawn after a crash: delay = initialDelay * 2^attempt, capped at
+   * maxDelay, with full jitter over the upper half of the window
+   */
+  _scheduleRestart() {
+    if (this._stopping || this._restartTimer) return;
+    const policy = this.restartPolicy;
+    if (policy.maxAttempts && this._restartAttempt >= policy.maxAttempts) {
+      this.log.error(`DeltaChat RPC: giving up after ${this._restartAttempt} restart attempts`);
+      return;
+    }
+
+    const base = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(2, this._restartAttempt));
+    const delay = Math.round(base / 2 + Math.random() * base / 2);
+    this._restartAttempt++;
+    this.log.warn(`DeltaChat RPC: restarting in ${delay}ms (attempt ${this._restartAttempt})`);
+
+    this._restartTimer = setTimeout(() => {
+      this._restartTimer = null;
+      this._restart().catch(() => {});
+    }, delay);
+  }
+
+  async _restart() {
+    if (this._stopping) return;
+    try {
+      await this.start();
+    } catch (err) {
+      this.log.error('DeltaChat RPC restart failed', { err });
+      this._scheduleRestart();
+      return;
+    }
+
+    this.restartCount++;
+    this.log.info(`DeltaChat RPC restarted (restart #${this.restartCount})`);
+    for (const channel of Array.from(this.channels.values())) {
+      try { await channel._onRpcRestarted(); } catch (e) {
+        this.log.error('DeltaChat channel resume failed', { err: e });
+      }
+    }
+  }
+
+  /**
+   * Single event loop for every hosted account
+   */
+  _startEventLoop() {
+    // a restart starts a new loop; the old one must not keep polling
+    const generation = ++this._generation;
+    const processEvents = async () => {
+      this.log.debug('Starting processing events');
+      while (this.running && !this._stopping && generation === this._generation) {
+        try {
+          const client = this.client;
+          if (!client || !client.rpc) {
+            await this._sleep(1000);
+            continue;
+          }
+
+          let event = null;
+          try {
+            // unref: a poll left pending by stop() must not hold the process open
+            event = await callWithTimeout('getNextEvent', () => client.rpc.getNextEvent(), 30000, { log: this.log, unref: true, inflight: this.inflight });
+          } catch (e) {
+            // the process is gone: the loop ends, a restart starts a new one
+            if (e && e.code === 'RPC_GONE') continue;
+            // transient error — continue loop
+            this.log.error('DeltaChat getNextEvent error', { err: e });
+            await this._sleep(1000);
+            continue;
+          }
+
+          if (event && event.event && event.event.kind) {
+            const channel = this.channels.get(Number(event.contextId));
+            if (!channel) continue;
+            try {
+              await channel._handleEvent(event.event);
+            } catch (e) {
+              this.log.error('DeltaChat _handleEvent error', { err: e });
+            }
+          }
+        } catch (err) {
+          this.log.error('DeltaChat event loop unexpected error', { err });
+          // Sleep to avoid hot loop on fatal errors
+          await this._sleep(1000);
+        }
+      }
+    };
+
+    // run async
+    processEvents().catch(e => {
+      this.log.error('DeltaChat processEvents fatal', { err: e });
+    });
+  }
+
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// console logger for calls made without one
+let fallbackLog = null;
+function defaultLog() {
+  if (!fallbackLog) fallbackLog = resolveLogger(null);
+  return fallbackLog;
+}
+
+module.exports = { DeltaChatRpcHost, callWithTimeout, parseStderrLine };
@@ -1,147 +1,437 @@
 const fs = require('fs');
-const path = require('path');
 const http = require('http');
+const {
+  PROTOCOL_VERSION,
+  PROTOCOL_HEADER,
+  METHODS,
+  validateParams,
+  rpcError,
+  tokensEqual,
+  decodeShimValue
+} = require('./shim-protocol');
+const { EventLog } = require('./event-log');
+const { createLogger } = require('./logger');
+const { Metrics } = require('./metrics');
+const {
+  ConfigError,
+  parseArgs,
+  loadConfig,
+  accountConfigs,
+  validateConfig,
+  redactConfig,
+  structuralChanges
+} = require('./config');
 
-const pluginPath = '/root/.openclaw/extensions/openclaw-deltachat-channel/plugin.js';
-const configPath = '/root/.openclaw/openclaw.json';
-const logPath = '/root/.openclaw/logs/deltachat.log';
-const SOCKET_PATH = '/tmp/deltachat.sock';
+const DEFAULT_SOCKET_PATH = '/tmp/deltachat.sock';
 
-function safeAppend(file, txt) {
-  try { fs.appendFileSync(file, txt + '\n'); } catch (e) {
-    try { fs.appendFileSync('/tmp/deltachat-fallback.log', txt + '\n'); } catch (_) {}
+// console only until the config has been loaded
+let logger = createLogger({ format: 'json' });
+
+function loggingOptions(channelCfg) {
+  return { format: 'json', ...((channelCfg && channelCfg.logging) || {}) };
+}
+
+// Shim socket settings: channels.deltachat.config.shim (env and flags are
+// merged in by config.js)
+//   socketPath  unix socket (default /tmp/deltachat.sock)
+//   socketMode  permissions, e.g. '0660' (default 0600: only the runner's user)
+//   token / tokenFile  bearer token required from clients
+//   eventBufferSize  SSE events kept for replay on reconnect (default 1000)
+//   eventLogPath  keep the replay buffer on disk so it survives runner restarts
+function shimSettings(channelCfg) {
+  const shim = (channelCfg && channelCfg.shim) || {};
+  let token = shim.token || null;
+  if (!token && shim.tokenFile) {
+    try { token = fs.readFileSync(shim.tokenFile, 'utf8').trim() || null; } catch (e) {
+      logger.warn('cannot read shim tokenFile', { tokenFile: shim.tokenFile, err: e && e.message ? e.message : e });
+    }
   }
+  const mode = shim.socketMode == null ? 0o600 : (typeof shim.socketMode === 'string' ? parseInt(shim.socketMode, 8) : shim.socketMode);
+  return {
+    socketPath: shim.socketPath || DEFAULT_SOCKET_PATH,
+    socketMode: Number.isFinite(mode) ? mode : 0o600,
+    token,
+    eventBufferSize: Number(shim.eventBufferSize) > 0 ? Number(shim.eventBufferSize) : 1000,
+    eventLogPath: shim.eventLogPath || null
+  };
 }
 
-function log(...args) {
-  const line = `[${new Date().toISOString()}] ` + args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ');
-  try {
-    if (!fs.existsSync(path.dirname(logPath))) fs.mkdirSync(path.dirname(logPath), { recursive: true });
-    safeAppend(logPath, line);
-  } catch (_) {}
-  try { console.log(line); } catch (e) { /* ignore EPIPE/closed stdout */ }
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => body += chunk.toString());
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, obj) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(obj));
+}
+
+// openclaw.json + env + flags, validated; exits on errors so a bad config
+// fails here rather than as a crash halfway through startup
+function loadValidConfig(flags) {
+  const loaded = loadConfig({ flags });
+  const { errors, warnings } = validateConfig(loaded.channel);
+  if (errors.length > 0) throw new ConfigError(errors.map(e => `${loaded.configPath}: ${e}`));
+  return { ...loaded, warnings };
 }
 
-async function main() {
+async function main(argv = process.argv.slice(2)) {
+  const { flags } = parseArgs(argv);
+  let loaded;
+  try {
+    loaded = loadValidConfig(flags);
+  } catch (e) {
+    logger.error(e instanceof ConfigError ? e.message : 'cannot load configuration', e instanceof ConfigError ? undefined : { err: e });
+    process.exit(2);
+  }
+
   try {
-    log('Starting deltachat manual runner (shim-enabled)');
+    const { configPath } = loaded;
+    // the runner hosts the real channel; plugin.js is only the proxy the
+    // gateway loads to reach this process over the shim socket. Required
+    // here so deltachat-cli.js can use shimSettings without the rpc client
+    const { DeltaChatChannel } = require('./channel');
+    let channelCfg = loaded.channel;
+    logger = createLogger(loggingOptions(channelCfg));
+    logger.info('Starting deltachat manual runner (shim-enabled)', { configPath, overrides: loaded.sources });
+    for (const warning of loaded.warnings) logger.warn(`config: ${warning}`);
+    logger.debug('effective config', { config: redactConfig(channelCfg) });
 
-    const cfg = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    const channelCfg = (cfg.channels && cfg.channels.deltachat && cfg.channels.deltachat.config) || {};
+    const shim = shimSettings(channelCfg);
+    const eventLog = new EventLog({ capacity: shim.eventBufferSize, filePath: shim.eventLogPath, logger });
+    const metrics = new Metrics();
+    let channels = new Map();
+    let sseClients = new Set();
 
-    if (!channelCfg.rpcServerPath) {
-      log('ERROR: rpcServerPath missing in config');
-      process.exit(2);
+    // channel for a shim request; defaults to the first configured account
+    function pickChannel(accountId) {
+      if (accountId != null) return channels.get(String(accountId)) || null;
+      return channels.values().next().value || null;
     }
 
-    const plugin = require(pluginPath);
-    const createChannel = plugin.createChannel || (plugin.activate && plugin.activate().createChannel) || null;
-    if (!createChannel) {
-      log('ERROR: cannot find createChannel export in plugin');
-      process.exit(2);
+    async function stopAll(reason) {
+      for (const [id, ch] of channels) {
+        if (!ch || !ch.stop) continue;
+        try { await ch.stop(); } catch (e) { logger.error(reason, { account: id, err: e }); }
+      }
     }
 
-    let channel = null;
-    let sseClients = new Set();
+    function sseFrame(record) {
+      return `id: ${record.id}\ndata: ${JSON.stringify(record.event)}\n\n`;
+    }
+
+    // every event goes through the replay buffer so reconnecting clients can catch up
+    function broadcast(event) {
+      const frame = sseFrame(eventLog.append(event));
+      for (const res of Array.from(sseClients)) {
+        try {
+          res.write(frame);
+        } catch (e) {
+          try { res.end(); } catch (_) {}
+          sseClients.delete(res);
+        }
+      }
+    }
+
+    // when a channel emits messages, broadcast to SSE clients
+    function attachBroadcast(channel, accountId) {
+      if (typeof channel.onMessage === 'function') {
+        channel.onMessage((msg) => {
+          // text is dropped from the log with logging.redactBodies
+          logger.info('incoming message', {
+            account: accountId,
+            msgId: msg.id,
+            chatId: msg.chat && msg.chat.id,
+            text: msg.text ? msg.text.slice(0, 200) : '',
+            attachments: Array.isArray(msg.attachments) ? msg.attachments.length : 0,
+            backlog: !!msg.backlog
+          });
+          broadcast({ type: 'message', accountId, payload: msg });
+        });
+      }
+      if (typeof channel.onDeliveryStatus === 'function') {
+        channel.onDeliveryStatus((update) => {
+          broadcast({ type: 'delivery', accountId, payload: update });
+        });
+      }
+      if (typeof channel.onEvent === 'function') {
+        channel.onEvent((ev) => {
+          broadcast({ type: ev.type, accountId, payload: ev.payload });
+        });
+      }
+    }
+
+    // restarts already added to the counter, per host; a host created by
+    // an in-process restart (startOnce) counts from 0 again
+    const countedRestarts = new WeakMap();
+
+    // gauges are read from the channels at scrape time
+    metrics.onCollect((m) => {
+      m.set('deltachat_sse_clients', {}, sseClients.size);
+      const hosts = new Set();
+      for (const [id, ch] of channels) {
+        m.set('deltachat_connected', { account: id }, ch.connected ? 1 : 0);
+        m.set('deltachat_outbox_depth', { account: id }, ch.outbox ? ch.outbox.size() : 0);
+        if (ch.host) hosts.add(ch.host);
+      }
+      // the counter only grows: add the restarts since the last scrape
+      // (inc by 0 still exposes the series before the first restart)
+      m.inc('deltachat_rpc_restarts_total', {}, 0);
+      for (const host of hosts) {
+        m.inc('deltachat_rpc_restarts_total', {}, host.restartCount - (countedRestarts.get(host) || 0));
+        countedRestarts.set(host, host.restartCount);
+      }
+    });
+
+    function serveMetrics(res) {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+      res.end(metrics.render());
+    }
 
     async function startOnce() {
+      let heartbeat = null;
+      let metricsServer = null;
       try {
-        channel = createChannel(channelCfg, {});
-        log('Instantiated channel, calling init()');
-        await channel.init();
-        log('Channel init completed');
-
-        // when channel emits messages, broadcast to SSE clients
-        if (typeof channel.onMessage === 'function') {
-          channel.onMessage((msg) => {
-            try {
-              log('INCOMING:', msg.id, msg.chat && msg.chat.id, msg.text && msg.text.slice(0,200));
-            } catch (_) {}
-            const data = JSON.stringify({ type: 'message', payload: msg });
-            for (const res of Array.from(sseClients)) {
+        channels = new Map();
+        for (const acctCfg of accountConfigs(channelCfg)) {
+          const channel = new DeltaChatChannel(acctCfg, { logger, metrics });
+          channels.set(acctCfg.accountKey, channel);
+          logger.info('Instantiated channel, calling init()', { account: acctCfg.accountKey });
+          await channel.init();
+          logger.info('Channel init completed', { account: acctCfg.accountKey });
+          attachBroadcast(channel, acctCfg.accountKey);
+        }
+
+        // start HTTP server on unix socket for shim
+        try { if (fs.existsSync(shim.socketPath)) fs.unlinkSync(shim.socketPath); } catch (_) {}
+        if (!shim.token) logger.warn('no shim token configured, access is limited by socket permissions only');
+
+        // every route needs the token when one is configured
+        function authorized(req) {
+          if (!shim.token) return true;
+          const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+          return !!m && tokensEqual(shim.token, m[1].trim());
+        }
+
+        // one JSON-RPC 2.0 request -> response; channel errors are logged
+        // here and reach the client as a code and message only
+        async function handleRpc(request) {
+          const id = request && request.id !== undefined ? request.id : null;
+          const fail = (name, message) => ({ jsonrpc: '2.0', id, error: rpcError(name, message) });
+          if (!request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+            return fail('INVALID_REQUEST', 'expected a JSON-RPC 2.0 request');
+          }
+          const method = request.method;
+
+          if (method === 'hello') {
+            return {
+              jsonrpc: '2.0',
+              id,
+              result: { protocol: PROTOCOL_VERSION, server: 'openclaw-deltachat-runner', pid: process.pid, accounts: Array.from(channels.keys()), methods: Object.keys(METHODS) }
+            };
+          }
+
+          if (!Object.prototype.hasOwnProperty.call(METHODS, method)) return fail('METHOD_NOT_FOUND', `unknown method ${method}`);
+          const params = decodeShimValue(request.params === undefined ? [] : request.params);
+          const invalid = validateParams(method, params);
+          if (invalid) return fail('INVALID_PARAMS', invalid);
+
+          const channel = pickChannel(request.account);
+          if (!channel) {
+            return request.account != null ? fail('UNKNOWN_ACCOUNT', `unknown account ${request.account}`) : fail('NOT_READY', 'no channel running');
+          }
+          if (typeof channel[method] !== 'function') return fail('METHOD_NOT_FOUND', `${method} is not supported by this channel`);
+
+          try {
+            const result = await channel[method](...params);
+            return { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+          } catch (e) {
+            logger.error(`shim call ${method} failed`, { account: request.account, err: e });
+            return fail(e && e.code === 'NOT_CONNECTED' ? 'NOT_READY' : 'CHANNEL_ERROR', e && e.message ? e.message : String(e));
+          }
+        }
+
+        const server = http.createServer(async (req, res) => {
+          const url = new URL(req.url, 'http://shim');
+          const pathname = url.pathname;
+
+          if (!authorized(req)) {
+            sendJson(res, 401, { jsonrpc: '2.0', id: null, error: rpcError('UNAUTHORIZED', 'missing or invalid shim token') });
+            return;
+          }
+
+          if (req.method === 'GET' && pathname === '/metrics') {
+            serveMetrics(res);
+            return;
+          }
+
+          if (req.method === 'GET' && pathname === '/health') {
+            // for systemd watchdogs / monitoring; 503 unless every account is connected
+            const accounts = {};
+            let healthy = channels.size > 0;
+            for (const [id, ch] of channels) {
               try {
-                res.write(`data: ${data}\n\n`);
+                accounts[id] = await ch.getStatus();
               } catch (e) {
-                try { res.end(); } catch (_) {}
-                sseClients.delete(res);
+                accounts[id] = { connected: false, error: String(e && e.message ? e.message : e) };
               }
+              if (!accounts[id].connected) healthy = false;
             }
-          });
-        }
+            sendJson(res, healthy ? 200 : 503, { ok: healthy, pid: process.pid, protocol: PROTOCOL_VERSION, uptimeMs: Math.round(process.uptime() * 1000), sseClients: sseClients.size, accounts });
+            return;
+          }
 
-        // start HTTP server on unix socket for shim
-        try { if (fs.existsSync(SOCKET_PATH)) fs.unlinkSync(SOCKET_PATH); } catch (_) {}
+          if (pathname === '/call') {
+            sendJson(res, 410, { jsonrpc: '2.0', id: null, error: rpcError('PROTOCOL_MISMATCH', `/call was replaced by /rpc (protocol ${PROTOCOL_VERSION}); update plugin.js`) });
+            return;
+          }
 
-        const server = http.createServer(async (req, res) => {
-          if (req.method === 'GET' && req.url === '/events') {
+          // /events and /rpc speak the versioned protocol
+          if (pathname === '/events' || pathname === '/rpc') {
+            const clientVersion = req.headers[PROTOCOL_HEADER];
+            if (String(clientVersion) !== String(PROTOCOL_VERSION)) {
+              sendJson(res, 400, { jsonrpc: '2.0', id: null, error: rpcError('PROTOCOL_MISMATCH', `server speaks protocol ${PROTOCOL_VERSION}, client sent ${clientVersion || 'none'}`) });
+              return;
+            }
+          }
+
+          if (req.method === 'GET' && pathname === '/events') {
             // SSE endpoint
             res.writeHead(200, {
               'Content-Type': 'text/event-stream',
               'Cache-Control': 'no-cache',
               'Connection': 'keep-alive'
             });
-            res.write('\n');
+            res.write('retry: 2000\n\n');
+            // replay what the client missed, then go live; broadcast() is
+            // synchronous so nothing can slip in between
+            const lastEventId = req.headers['last-event-id'] || url.searchParams.get('lastEventId');
+            const missed = eventLog.since(lastEventId);
+            if (missed.gap) logger.warn('SSE client resumed after dropped events', { lastEventId, replayed: missed.records.length });
+            for (const record of missed.records) res.write(sseFrame(record));
             sseClients.add(res);
             req.on('close', () => { sseClients.delete(res); });
             return;
           }
 
-          if (req.method === 'POST' && req.url === '/call') {
-            let body = '';
-            req.on('data', chunk => body += chunk.toString());
-            req.on('end', async () => {
-              try {
-                const payload = JSON.parse(body || '{}');
-                const method = payload.method;
-                const params = payload.params || [];
-                if (!channel) throw new Error('channel-not-ready');
-                if (typeof channel[method] !== 'function') throw new Error('unknown-method');
-                const result = await channel[method](...params);
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ ok: true, result }));
-              } catch (e) {
-                res.statusCode = 500;
-                res.setHeader('Content-Type', 'application/json');
-                res.end(JSON.stringify({ ok: false, error: String(e && e.stack ? e.stack : e) }));
-              }
-            });
+          if (req.method === 'POST' && pathname === '/rpc') {
+            let request;
+            try {
+              request = JSON.parse((await readBody(req)) || 'null');
+            } catch (e) {
+              sendJson(res, 200, { jsonrpc: '2.0', id: null, error: rpcError('PARSE_ERROR', 'request body is not valid JSON') });
+              return;
+            }
+            const response = Array.isArray(request) ? await Promise.all(request.map(handleRpc)) : await handleRpc(request);
+            sendJson(res, 200, response);
             return;
           }
 
           res.statusCode = 404; res.end('not found');
         });
 
-        server.on('error', (e) => { log('Shim HTTP server error', e && e.stack?e.stack:e); });
-        server.listen(SOCKET_PATH, () => { log('Shim HTTP server listening on', SOCKET_PATH); });
-        // set socket permissions
-        try { fs.chmodSync(SOCKET_PATH, 0o666); } catch (_) {}
+        // create the socket with restrictive permissions, then apply socketMode
+        server.on('error', (e) => { logger.error('Shim HTTP server error', { err: e }); });
+        const previousUmask = process.umask(0o177);
+        try {
+          server.listen(shim.socketPath, () => {
+            try { fs.chmodSync(shim.socketPath, shim.socketMode); } catch (e) { logger.warn('chmod shim socket failed', { err: e }); }
+            logger.info('Shim HTTP server listening', { socketPath: shim.socketPath, mode: shim.socketMode.toString(8), auth: shim.token ? 'token' : 'none' });
+          });
+        } finally {
+          // listen() binds a unix socket before it returns; files written
+          // while the listen callback is pending get the normal umask
+          process.umask(previousUmask);
+        }
+
+        // optional TCP listener for Prometheus (it cannot scrape unix sockets);
+        // serves /metrics only and binds to localhost unless told otherwise
+        const metricsCfg = channelCfg.metrics || {};
+        if (metricsCfg.port) {
+          metricsServer = http.createServer((req, res) => {
+            if (req.method === 'GET' && new URL(req.url, 'http://metrics').pathname === '/metrics') {
+              serveMetrics(res);
+              return;
+            }
+            res.statusCode = 404; res.end('not found');
+          });
+          metricsServer.on('error', (e) => { logger.error('Metrics HTTP server error', { err: e }); });
+          const metricsHost = metricsCfg.host || '127.0.0.1';
+          metricsServer.listen(Number(metricsCfg.port), metricsHost, () => {
+            logger.info('Metrics HTTP server listening', { host: metricsHost, port: Number(metricsCfg.port) });
+          });
+        }
+
+        // comment frames keep idle connections alive and let clients notice a dead stream
+        heartbeat = setInterval(() => {
+          for (const res of Array.from(sseClients)) {
+            try { res.write(': ping\n\n'); } catch (_) { sseClients.delete(res); }
+          }
+        }, 15000);
 
         // Keep process alive while channel runs
         await new Promise((resolve, reject) => {
           process.on('SIGTERM', () => resolve());
           process.on('SIGINT', () => resolve());
           process.on('uncaughtException', (err) => {
-            try { safeAppend(logPath, new Date().toISOString() + ' uncaughtException\n' + (err && err.stack ? err.stack : String(err)) + '\n'); } catch (_) {}
+            logger.error('uncaughtException', { err });
             reject(err);
           });
           process.on('unhandledRejection', (r) => {
-            try { safeAppend(logPath, new Date().toISOString() + ' unhandledRejection\n' + (r && (r.stack || JSON.stringify(r)) ? (r.stack || JSON.stringify(r)) : String(r)) + '\n'); } catch (_) {}
+            logger.error('unhandledRejection', { err: r });
             reject(r);
           });
         });
 
-        log('Stopping channel due to signal');
-        try { await channel.stop(); } catch (e) { log('Error stopping channel', e && e.stack ? e.stack : e); }
+        logger.info('Stopping channels due to signal');
+        await stopAll('Error stopping channel');
+        clearInterval(heartbeat);
         try { server.close(); } catch (_) {}
+        try { if (metricsServer) metricsServer.close(); } catch (_) {}
       } catch (err) {
-        log('Channel start error:', err && err.stack ? err.stack : String(err));
-        if (channel && channel.stop) {
-          try { await channel.stop(); } catch (e) { log('Error stopping after failure', e && e.stack ? e.stack : e); }
-        }
+        logger.error('Channel start error', { err });
+        if (heartbeat) clearInterval(heartbeat);
+        try { if (metricsServer) metricsServer.close(); } catch (_) {}
+        await stopAll('Error stopping after failure');
         throw err;
       }
     }
 
+    // SIGHUP: reload the config and apply access policies and logging
+    // settings in place; other changes are reported and need a restart
+    process.on('SIGHUP', () => {
+      let fresh;
+      try {
+        fresh = loadValidConfig(flags);
+      } catch (e) {
+        logger.error('SIGHUP: reload failed, keeping current config', e instanceof ConfigError ? { errors: e.errors } : { err: e });
+        return;
+      }
+      const freshCfg = fresh.channel;
+      for (const acctCfg of accountConfigs(freshCfg)) {
+        const ch = channels.get(acctCfg.accountKey);
+        if (ch) ch.reloadPolicy(acctCfg.policy);
+      }
+      const logging = freshCfg.logging || {};
+      logger.reconfigure({ level: logging.level || 'info', redactBodies: !!logging.redactBodies });
+      const pending = structuralChanges(channelCfg, freshCfg);
+      if (pending.length > 0) logger.warn('SIGHUP: these settings only take effect after a restart', { settings: pending });
+      // keep the reloaded parts for in-process restarts (startOnce)
+      const accounts = channelCfg.accounts && { ...channelCfg.accounts };
+      for (const id of Object.keys(accounts || {})) {
+        const freshAcct = freshCfg.accounts && freshCfg.accounts[id];
+        if (freshAcct && accounts[id]) accounts[id] = { ...accounts[id], policy: freshAcct.policy };
+      }
+      channelCfg = { ...channelCfg, policy: freshCfg.policy, logging: freshCfg.logging, ...(accounts ? { accounts } : {}) };
+      logger.info('SIGHUP: access policies and logging settings reloaded');
+    });
+
     // Retry loop
     for (;;) {
       try {
@@ -149,18 +439,20 @@ async function main() {
         // graceful exit
         break;
       } catch (e) {
-        log('startOnce failed, will retry in 5s');
+        logger.warn('startOnce failed, will retry in 5s');
         await new Promise(r => setTimeout(r, 5000));
       }
     }
 
-    log('Runner exiting normally');
+    logger.info('Runner exiting normally');
     process.exit(0);
   } catch (e) {
-    try { safeAppend(logPath, new Date().toISOString() + ' Fatal runner error\n' + (e && e.stack ? e.stack : String(e)) + '\n'); } catch (_) {}
-    try { console.error('Fatal runner error', e && e.stack ? e.stack : e); } catch (_) {}
+    logger.error('Fatal runner error', { err: e });
     process.exit(2);
   }
 }
 
-main();
+// `node run-deltachat-channel.js` runs the channel; deltachat-cli.js requires it for `start`
+if (require.main === module) main();
+
+module.exports = { main, shimSettings };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+/**
+ * Shim protocol between run-deltachat-channel.js (server) and plugin.js (client)
+ *
+ * JSON-RPC 2.0 over HTTP on the shim unix socket:
+ *   POST /rpc   { jsonrpc: '2.0', id, method, params: [...], account: '<OpenClaw account id>' }
+ *   GET /events server-sent events
+ *   GET /health status of every account
+ *
+ * Every request carries X-Shim-Protocol: <PROTOCOL_VERSION>; when the runner
+ * is configured with a token, also Authorization: Bearer <token>.
+ * 'hello' is the handshake: it returns the server protocol version, the
+ * accounts it serves and the callable methods.
+ */
+const PROTOCOL_VERSION = 1;
+const PROTOCOL_HEADER = 'x-shim-protocol';
+
+const ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL: -32603,
+  UNAUTHORIZED: -32001,
+  PROTOCOL_MISMATCH: -32002,
+  NOT_READY: -32003,
+  UNKNOWN_ACCOUNT: -32004,
+  CHANNEL_ERROR: -32010
+};
+
+/**
+ * Callable channel methods and their positional parameters.
+ * Types: 'id' (string or number), 'string', 'number', 'boolean', 'object',
+ * 'array', 'file' (path string or object), 'any'; a trailing '?' makes the
+ * parameter optional and nullable, '|' allows alternatives.
+ */
+const METHODS = {
+  send: ['id', 'string?', 'object?'],
+  sendFile: ['id', 'file', 'object?'],
+  getChat: ['id'],
+  listChats: [],
+  getSelf: [],
+  getStatus: [],
+  getRpcRestartInfo: [],
+  createGroup: ['string', 'object?'],
+  createBroadcast: ['string', 'object?'],
+  addMembers: ['id', 'array|string'],
+  removeMembers: ['id', 'array|string'],
+  renameChat: ['id', 'string'],
+  setChatImage: ['id', 'file?'],
+  leaveGroup: ['id'],
+  getChatMembers: ['id'],
+  getContact: ['id'],
+  listContacts: ['object?'],
+  createContact: ['string', 'string?'],
+  blockContact: ['id'],
+  unblockContact: ['id'],
+  reloadPolicy: ['object?'],
+  getInvite: ['id?'],
+  joinInvite: ['string'],
+  startStream: ['id', 'object?'],
+  appendStream: ['string', 'string'],
+  finishStream: ['string', 'string?'],
+  abortStream: ['string'],
+  react: ['id', 'id', 'string?'],
+  editMessage: ['id', 'id', 'string'],
+  deleteMessages: ['id', 'array|id', 'object?'],
+  markSeen: ['array|id'],
+  getMessages: ['id', 'object?'],
+  searchMessages: ['string', 'object?']
+};
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'id': return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'file': return typeof value === 'string' || Buffer.isBuffer(value) || (!!value && typeof value === 'object' && !Array.isArray(value));
+    case 'any': return true;
+    default: return false;
+  }
+}
+
+/**
+ * Check params against METHODS; returns an error message or null
+ */
+function validateParams(method, params) {
+  const spec = METHODS[method];
+  if (!spec) return `unknown method ${method}`;
+  if (!Array.isArray(params)) return 'params must be an array';
+  if (params.length > spec.length) return `${method} takes at most ${spec.length} parameter(s), got ${params.length}`;
+
+  for (let i = 0; i < spec.length; i++) {
+    const optional = spec[i].endsWith('?');
+    const types = spec[i].replace(/\?$/, '').split('|');
+    const value = params[i];
+    if (value === undefined || value === null) {
+      if (optional) continue;
+      return `${method}: parameter ${i + 1} is required (${types.join(' or ')})`;
+    }
+    if (!types.some(t => matchesType(t, value))) {
+      return `${method}: parameter ${i + 1} must be ${types.join(' or ')}`;
+    }
+  }
+  return null;
+}
+
+function rpcError(name, message) {
+  return { code: ERRORS[name] || ERRORS.INTERNAL, message: String(message || name), data: { name } };
+}
+
+/**
+ * Error raised on the client side for a JSON-RPC error response
+ */
+class ShimError extends Error {
+  constructor(error = {}) {
+    super(error.message || 'shim error');
+    this.name = 'ShimError';
+    this.code = (error.data && error.data.name) || 'INTERNAL';
+    this.rpcCode = error.code;
+  }
+}
+
+/**
+ * Constant-time token comparison
+ */
+function tokensEqual(expected, given) {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(given || ''));
+  if (a.length === 0 || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Buffers travel as { $binary: <base64> } so they survive the JSON body
+function encodeShimValue(value) {
+  if (Buffer.isBuffer(value)) return { $binary: value.toString('base64') };
+  if (Array.isArray(value)) return value.map(encodeShimValue);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = encodeShimValue(value[key]);
+    return out;
+  }
+  return value;
+}
+
+function decodeShimValue(value) {
+  if (Array.isArray(value)) return value.map(decodeShimValue);
+  if (value && typeof value === 'object') {
+    if (typeof value.$binary === 'string' && Object.keys(value).length === 1) return Buffer.from(value.$binary, 'base64');
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = decodeShimValue(value[key]);
+    return out;
+  }
+  return value;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  PROTOCOL_HEADER,
+  ERRORS,
+  METHODS,
+  validateParams,
+  rpcError,
+  ShimError,
+  tokensEqual,
+  encodeShimValue,
+  decodeShimValue
+};
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tmpDir, openChannel, fakeState, waitFor, control } = require('./helpers');
+
+// DC_STATE_IN_SEEN
+const MSG_STATE_IN_SEEN = 16;
+
+/**
+ * Channel with a control socket for the fake server and a list of the
+ * messages it delivered
+ */
+function openListening(t, dir, config = {}) {
+  const controlPath = path.join(dir, 'control.sock');
+  process.env.FAKE_RPC_CONTROL = controlPath;
+  t.after(() => { delete process.env.FAKE_RPC_CONTROL; });
+  const channel = openChannel(t, dir, config);
+  const received = [];
+  channel.onMessage(msg => received.push(msg));
+  return { channel, received, controlPath };
+}
+
+/**
+ * Run a channel without a message listener while peer messages arrive:
+ * they stay unseen in the fake server, as if the runner had been down
+ */
+async function missWhileOffline(t, dir, messages) {
+  const controlPath = path.join(dir, 'control.sock');
+  process.env.FAKE_RPC_CONTROL = controlPath;
+  const channel = openChannel(null, dir);
+  await channel.init();
+  for (const m of messages) {
+    await control(controlPath, { incoming: { from: 'peer@example.org', ...(typeof m === 'string' ? { text: m } : m) } });
+  }
+  await new Promise(r => setTimeout(r, 200));
+  await channel.stop();
+  delete process.env.FAKE_RPC_CONTROL;
+}
+
+/**
+ * First start of a channel: sets the high-water marks
+ */
+async function setBaseline(dir) {
+  const channel = openChannel(null, dir);
+  channel.onMessage(() => {});
+  await channel.init();
+  await channel.stop();
+}
+
+/**
+ * Start a listening channel and collect what it delivers until it settles
+ */
+async function restart(t, dir, config = {}) {
+  const opened = openListening(t, dir, config);
+  await opened.channel.init();
+  await new Promise(r => setTimeout(r, 300));
+  return opened;
+}
+
+function fakeScript(t, dir, steps) {
+  const script = path.join(dir, 'script.json');
+  fs.writeFileSync(script, JSON.stringify(steps));
+  process.env.FAKE_RPC_SCRIPT = script;
+  t.after(() => { delete process.env.FAKE_RPC_SCRIPT; });
+}
+
+test('a live message during the connectivity wait does not hide older missed ones', async (t) => {
+  const dir = tmpDir(t);
+  await setBaseline(dir);
+  await missWhileOffline(t, dir, ['missed']);
+
+  // arrives right after startIo while init still waits for connectivity
+  fakeScript(t, dir, [
+    { at: 0, delay: { get_connectivity: 300 } },
+    { at: 0, incoming: { from: 'peer@example.org', text: 'live' } }
+  ]);
+  const { channel, received } = openListening(t, dir);
+  await channel.init();
+
+  // the live one may be replayed too if catch-up sees it first; either
+  // way each arrives once and in order
+  await waitFor('both messages', () => received.length >= 2);
+  await new Promise(r => setTimeout(r, 200));
+  assert.deepStrictEqual(received.map(m => m.text), ['missed', 'live']);
+  assert.strictEqual(received[0].backlog, true);
+});
+
+test('the first start delivers live messages but no history', async (t) => {
+  const dir = tmpDir(t);
+  await missWhileOffline(t, dir, ['history']);
+
+  fakeScript(t, dir, [
+    { at: 0, delay: { get_connectivity: 300 } },
+    { at: 0, incoming: { from: 'peer@example.org', text: 'live' } }
+  ]);
+  const { channel, received } = openListening(t, dir);
+  await channel.init();
+
+  await waitFor('the live message', () => received.length >= 1);
+  await new Promise(r => setTimeout(r, 200));
+  assert.deepStrictEqual(received.map(m => [m.text, m.backlog]), [['live', false]]);
+  assert.ok(fs.existsSync(path.join(dir, 'accounts', 'catchup-default.json')));
+});
+
+test('messages missed while down are replayed once after a restart', async (t) => {
+  const dir = tmpDir(t);
+  await setBaseline(dir);
+  await missWhileOffline(t, dir, ['one', 'two']);
+
+  const { channel, received } = await restart(t, dir);
+  assert.deepStrictEqual(received.map(m => [m.text, m.backlog]), [['one', true], ['two', true]]);
+  const messages = Object.values(fakeState(path.join(dir, 'accounts')).accounts['1'].messages);
+  assert.ok(messages.filter(m => m.text === 'one' || m.text === 'two').every(m => m.state === MSG_STATE_IN_SEEN));
+  await channel.stop();
+
+  const again = await restart(t, dir);
+  assert.deepStrictEqual(again.received, []);
+});
+
+test('maxMessages replays only the newest missed messages', async (t) => {
+  const dir = tmpDir(t);
+  await setBaseline(dir);
+  await missWhileOffline(t, dir, ['1', '2', '3']);
+
+  const { channel, received } = await restart(t, dir, { catchUp: { maxMessages: 2 } });
+  assert.deepStrictEqual(received.map(m => m.text), ['2', '3']);
+  await channel.stop();
+
+  // the skipped one is not offered later either
+  const again = await restart(t, dir);
+  assert.deepStrictEqual(again.received, []);
+});
+
+test('maxAge skips missed messages older than it', async (t) => {
+  const dir = tmpDir(t);
+  await setBaseline(dir);
+  const twoHoursAgo = Math.floor(Date.now() / 1000) - 2 * 3600;
+  await missWhileOffline(t, dir, [{ text: 'stale', timestamp: twoHoursAgo }, 'recent']);
+
+  const { received } = await restart(t, dir, { catchUp: { maxAge: 3600 * 1000 } });
+  assert.deepStrictEqual(received.map(m => m.text), ['recent']);
+});
+
+test('catchUp: false replays nothing', async (t) => {
+  const dir = tmpDir(t);
+  await setBaseline(dir);
+  await missWhileOffline(t, dir, ['missed']);
+
+  const { received } = await restart(t, dir, { catchUp: false });
+  assert.deepStrictEqual(received, []);
+});
+
+test('live messages arriving during the replay wait until it is done', async (t) => {
+  const dir = tmpDir(t);
+  await setBaseline(dir);
+  await missWhileOffline(t, dir, ['old 1', 'old 2']);
+
+  // every replayed message is marked seen; a slow markseen keeps the
+  // replay busy while the live message comes in
+  fakeScript(t, dir, [{ at: 0, delay: { markseen_msgs: 300 } }]);
+  const { channel, received, controlPath } = openListening(t, dir);
+  let sentLive = null;
+  channel.onMessage((msg) => {
+    received.push(msg);
+    if (!sentLive) sentLive = control(controlPath, { incoming: { from: 'peer@example.org', text: 'live' } });
+  });
+  await channel.init();
+
+  await waitFor('all three messages', () => received.length >= 3);
+  await sentLive;
+  assert.deepStrictEqual(received.map(m => [m.text, m.backlog]), [['old 1', true], ['old 2', true], ['live', false]]);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { BOT, tmpDir, openChannel, fakeState, waitFor, control } = require('./helpers');
+
+test('init creates and configures a fresh account', async (t) => {
+  const dir = tmpDir(t);
+  const channel = openChannel(t, dir);
+  await channel.init();
+
+  assert.strictEqual(channel.connected, true);
+  assert.strictEqual(channel.accountId, 1);
+  const acct = fakeState(path.join(dir, 'accounts')).accounts['1'];
+  assert.strictEqual(acct.configured, true);
+  assert.strictEqual(acct.config.addr, BOT.email);
+  assert.strictEqual(acct.config.mail_pw, BOT.password);
+
+  const status = await channel.getStatus();
+  assert.strictEqual(status.account.configured, true);
+  assert.strictEqual(status.rpc.alive, true);
+  assert.ok(status.bootTimings.totalMs >= 0);
+});
+
+test('init reuses an already configured account without configuring it again', async (t) => {
+  const dir = tmpDir(t);
+  const first = openChannel(null, dir);
+  await first.init();
+  assert.strictEqual(first.connected, true);
+  await first.stop();
+
+  // configure() fails from now on, so a second configure would break init
+  const script = path.join(dir, 'script.json');
+  fs.writeFileSync(script, JSON.stringify([{ at: 0, fail: { configure: 'configure must not run again' } }]));
+  process.env.FAKE_RPC_SCRIPT = script;
+  t.after(() => { delete process.env.FAKE_RPC_SCRIPT; });
+
+  const second = openChannel(t, dir);
+  await second.init();
+  assert.strictEqual(second.connected, true);
+  assert.strictEqual(second.accountId, first.accountId);
+  assert.deepStrictEqual(Object.keys(fakeState(path.join(dir, 'accounts')).accounts), ['1']);
+});
+
+test('init leaves the channel disconnected when configure fails', async (t) => {
+  const dir = tmpDir(t);
+  const script = path.join(dir, 'script.json');
+  fs.writeFileSync(script, JSON.stringify([{ at: 0, fail: { configure: 'bad password' } }]));
+  process.env.FAKE_RPC_SCRIPT = script;
+  t.after(() => { delete process.env.FAKE_RPC_SCRIPT; });
+
+  const channel = openChannel(t, dir);
+  await channel.init();
+  assert.strictEqual(channel.connected, false);
+  assert.strictEqual(channel.host, null);
+});
+
+test('send goes out through the outbox and shows up in listChats', async (t) => {
+  const dir = tmpDir(t);
+  const channel = openChannel(t, dir);
+  await channel.init();
+  const delivery = [];
+  channel.onDeliveryStatus(update => delivery.push(update));
+
+  const group = await channel.createGroup('team', { members: ['peer@example.org'] });
+  const sent = await channel.send(group.id, 'hello team', { idempotencyKey: 'k-1' });
+  assert.ok(sent.id);
+  const again = await channel.send(group.id, 'hello team', { idempotencyKey: 'k-1' });
+  assert.strictEqual(again.id, sent.id);
+
+  const chats = await channel.listChats();
+  assert.deepStrictEqual(chats.find(c => c.id === group.id), { id: group.id, name: 'team', type: 'group' });
+  const history = await channel.getMessages(group.id);
+  assert.deepStrictEqual(history.messages.filter(m => m.text === 'hello team').map(m => m.id), [String(sent.id)]);
+  await waitFor('delivery of the sent message', () => delivery.find(d => String(d.msgId) === String(sent.id)));
+});
+
+test('a repeated idempotency key leaves no staged attachment behind', async (t) => {
+  const dir = tmpDir(t);
+  const channel = openChannel(t, dir);
+  await channel.init();
+  const group = await channel.createGroup('files', { members: ['peer@example.org'] });
+  const file = { buffer: Buffer.from('report'), fileName: 'report.txt' };
+
+  const first = await channel.send(group.id, 'report', { attachments: [file], idempotencyKey: 'file-1' });
+  const [second, third] = await Promise.all([0, 1].map(() => channel.send(group.id, 'report', { attachments: [file], idempotencyKey: 'file-1' })));
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(third.id, first.id);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'accounts', 'outgoing-blobs')), []);
+});
+
+test('incoming messages reach onMessage', async (t) => {
+  const dir = tmpDir(t);
+  const controlPath = path.join(dir, 'control.sock');
+  process.env.FAKE_RPC_CONTROL = controlPath;
+  t.after(() => { delete process.env.FAKE_RPC_CONTROL; });
+
+  const channel = openChannel(t, dir);
+  const received = [];
+  channel.onMessage(msg => received.push(msg));
+  await channel.init();
+
+  await control(controlPath, { incoming: { from: 'peer@example.org', text: 'hi bot' } });
+  const msg = await waitFor('the incoming message', () => received.find(m => m.text === 'hi bot'));
+  assert.strictEqual(msg.from.address, 'peer@example.org');
+  assert.strictEqual(msg.chat.type, 'direct');
+});
+
+test('a send to an unknown chat fails fast and does not block other chats', async (t) => {
+  const dir = tmpDir(t);
+  const channel = openChannel(t, dir);
+  await channel.init();
+  const group = await channel.createGroup('good', { members: ['peer@example.org'] });
+
+  const bad = channel.send('999', 'nobody gets this');
+  const good = channel.send(group.id, 'still delivered');
+  await assert.rejects(bad, /does not exist/);
+  assert.ok((await good).id);
+  assert.strictEqual(channel.outbox.size(), 0);
+  await assert.rejects(channel.send('not-a-chat', 'x'), /invalid chatId/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateConfig } = require('../config');
+const { ROOT, FAKE_RPC, BOT } = require('./helpers');
+
+// set by the runner or the host, not by openclaw.json
+const INTERNAL = ['accountKey', 'accountId'];
+
+/**
+ * Top-level settings the channel, the rpc host and the proxy read
+ */
+function keysReadByCode() {
+  const keys = new Set();
+  for (const file of ['channel.js', 'rpc-host.js', 'plugin.js']) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    for (const [, key] of source.matchAll(/\bconfig\.(?!js\b)([A-Za-z]+)/g)) keys.add(key);
+  }
+  INTERNAL.forEach(key => keys.delete(key));
+  return [...keys];
+}
+
+const base = { ...BOT, rpcServerPath: FAKE_RPC };
+
+test('every setting the code reads is known to validateConfig', () => {
+  const keys = keysReadByCode();
+  assert.ok(keys.includes('outgoingBlobDir'));
+  assert.ok(keys.includes('shimRetryWindow'));
+  for (const key of keys) {
+    const { errors, warnings } = validateConfig({ [key]: null, ...base });
+    assert.deepStrictEqual(errors, [], key);
+    assert.deepStrictEqual(warnings.filter(w => w.startsWith(`${key}:`)), [], key);
+  }
+});
+
+test('outgoingBlobDir and shimRetryWindow are type-checked', () => {
+  assert.deepStrictEqual(validateConfig({ ...base, outgoingBlobDir: '/var/tmp/blobs', shimRetryWindow: 5000 }), { errors: [], warnings: [] });
+  const { errors } = validateConfig({ ...base, outgoingBlobDir: 42, shimRetryWindow: '5s' });
+  assert.deepStrictEqual(errors, [
+    'outgoingBlobDir: must be string (got 42)',
+    'shimRetryWindow: must be number (got "5s")'
+  ]);
+});
+
+test('unknown settings are reported but do not fail validation', () => {
+  const { errors, warnings } = validateConfig({ ...base, outgoingBlobDri: '/tmp' });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, ['outgoingBlobDri: unknown setting, ignored']);
+});
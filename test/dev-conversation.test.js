@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+// needs a real core; the fake server has no network side
+const rpcServerPath = process.env.DELTACHAT_RPC_SERVER_PATH;
+const skip = !rpcServerPath || !fs.existsSync(rpcServerPath)
+  ? 'set DELTACHAT_RPC_SERVER_PATH to a deltachat-rpc-server binary to run it'
+  : false;
+
+test('two real accounts talk through the dev mail server', { skip, timeout: 10 * 60 * 1000 }, async () => {
+  const { main } = require('../dev-conversation');
+  const code = await main(['--rpc-server-path', rpcServerPath, '--timeout', '60000']);
+  assert.strictEqual(code, 0, 'dev-conversation reported failed steps');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { EventLog, isNewerEventId } = require('../event-log');
+const { tmpDir } = require('./helpers');
+
+function filled(count, options = {}) {
+  const log = new EventLog({ capacity: 3, ...options });
+  const ids = [];
+  for (let i = 1; i <= count; i++) ids.push(log.append({ n: i }).id);
+  return { log, ids };
+}
+
+const numbers = result => result.records.map(r => r.event.n);
+
+test('since replays what came after the given id', () => {
+  const { log, ids } = filled(3);
+  assert.deepStrictEqual(numbers(log.since(ids[0])), [2, 3]);
+  assert.strictEqual(log.since(ids[0]).gap, false);
+  assert.deepStrictEqual(log.since(ids[2]), { records: [], gap: false });
+});
+
+test('a fresh subscriber gets nothing replayed', () => {
+  const { log } = filled(2);
+  assert.deepStrictEqual(log.since(null), { records: [], gap: false });
+  assert.deepStrictEqual(log.since('not an id'), { records: [], gap: false });
+});
+
+test('an id evicted from the ring replays the whole buffer and reports the gap', () => {
+  const { log, ids } = filled(6);
+  // capacity 3 keeps 4..6; 1 and 2 are gone, so 2 and 3 were missed
+  assert.deepStrictEqual(log.since(ids[0]), { records: log.records, gap: true });
+  assert.deepStrictEqual(numbers(log.since(ids[0])), [4, 5, 6]);
+  // the last id before the oldest kept one: nothing in between was lost
+  assert.strictEqual(log.since(ids[2]).gap, false);
+  assert.deepStrictEqual(numbers(log.since(ids[2])), [4, 5, 6]);
+});
+
+test('an id from before a restart without a file replays everything with a gap', () => {
+  const { log } = filled(2);
+  // the previous runner's epoch
+  const result = log.since('old:7');
+  assert.strictEqual(result.gap, true);
+  assert.deepStrictEqual(numbers(result), [1, 2]);
+  assert.strictEqual(isNewerEventId(result.records[0].id, 'old:7'), true);
+});
+
+test('with a file the buffer and its ids survive a restart', (t) => {
+  const filePath = path.join(tmpDir(t), 'events.jsonl');
+  const { ids } = filled(5, { filePath });
+
+  const reloaded = new EventLog({ capacity: 3, filePath });
+  assert.deepStrictEqual(numbers(reloaded.since(ids[2])), [4, 5]);
+  assert.strictEqual(reloaded.since(ids[2]).gap, false);
+  const next = reloaded.append({ n: 6 }).id;
+  assert.strictEqual(isNewerEventId(next, ids[4]), true);
+  assert.deepStrictEqual(numbers(reloaded.since(ids[0])), [4, 5, 6]);
+  assert.strictEqual(reloaded.since(ids[0]).gap, true);
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+const { PROTOCOL_VERSION, PROTOCOL_HEADER } = require('../shim-protocol');
+
+/**
+ * Shared pieces of the integration tests: channels run against
+ * fake-rpc-server.js in a throwaway directory
+ */
+const ROOT = path.join(__dirname, '..');
+const FAKE_RPC = path.join(ROOT, 'fake-rpc-server.js');
+
+const BOT = { email: 'bot@example.org', password: 'bot-password' };
+
+// removed once the whole file is done: a test's after hooks run in the
+// order they were added, so a channel stopping there may still write
+// (e.g. its catch-up marks) into a directory removed before it
+const tmpDirs = new Set();
+after(() => {
+  for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deltachat-test-'));
+  if (t) tmpDirs.add(dir);
+  return dir;
+}
+
+/**
+ * DeltaChatChannel on dir/accounts with the fake server; stopped after the test
+ */
+function openChannel(t, dir, config = {}) {
+  const { DeltaChatChannel } = require('../channel');
+  const channel = new DeltaChatChannel({
+    ...BOT,
+    accountsPath: path.join(dir, 'accounts'),
+    rpcServerPath: FAKE_RPC,
+    logging: { level: 'error' },
+    ...config
+  });
+  if (t) t.after(() => channel.stop());
+  return channel;
+}
+
+/**
+ * The fake server's model of the accounts (accounts, chats, messages)
+ */
+function fakeState(accountsPath) {
+  return JSON.parse(fs.readFileSync(path.join(accountsPath, 'fake-rpc-state.json'), 'utf8'));
+}
+
+/**
+ * Poll until fn() returns something truthy
+ */
+async function waitFor(what, fn, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    let value;
+    try { value = await fn(); } catch (_) { value = null; }
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+/**
+ * One command to the fake server's FAKE_RPC_CONTROL socket
+ */
+function control(socketPath, command) {
+  return new Promise((resolve, reject) => {
+    const conn = net.connect(socketPath, () => conn.write(JSON.stringify(command) + '\n'));
+    let answer = '';
+    conn.setEncoding('utf8');
+    conn.on('data', (chunk) => {
+      answer += chunk;
+      if (!answer.includes('\n')) return;
+      conn.end();
+      if (answer.startsWith('ok')) resolve();
+      else reject(new Error(answer.trim()));
+    });
+    conn.on('error', reject);
+  });
+}
+
+/**
+ * Plain HTTP request to the shim socket; resolves with { status, body }
+ * (body parsed when it is JSON)
+ */
+function shimRequest(socketPath, options = {}) {
+  const { method = 'GET', path: urlPath = '/health', token = null, protocol = PROTOCOL_VERSION, body = null } = options;
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    if (protocol != null) headers[PROTOCOL_HEADER] = String(protocol);
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const payload = body == null ? null : JSON.stringify(body);
+    if (payload) headers['Content-Type'] = 'application/json';
+    const req = http.request({ socketPath, path: urlPath, method, headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch (_) {}
+        resolve({ status: res.statusCode, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(10000, () => req.destroy(new Error(`${method} ${urlPath} timed out`)));
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+module.exports = { ROOT, FAKE_RPC, BOT, tmpDir, openChannel, fakeState, waitFor, control, shimRequest };
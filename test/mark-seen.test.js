@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tmpDir, openChannel, fakeState, waitFor, control } = require('./helpers');
+
+// DC_STATE_IN_FRESH / DC_STATE_IN_SEEN
+const FRESH = 10;
+const SEEN = 16;
+
+/**
+ * Channel in the given markSeen mode that has just received one message;
+ * state() reads that message's state from the fake server
+ */
+async function receiveOne(t, markSeen) {
+  const dir = tmpDir(t);
+  const controlPath = path.join(dir, 'control.sock');
+  process.env.FAKE_RPC_CONTROL = controlPath;
+  t.after(() => { delete process.env.FAKE_RPC_CONTROL; });
+
+  const channel = openChannel(t, dir, markSeen ? { markSeen } : {});
+  const received = [];
+  channel.onMessage(msg => received.push(msg));
+  await channel.init();
+  await control(controlPath, { incoming: { from: 'peer@example.org', text: 'hello bot' } });
+  const msg = await waitFor('the incoming message', () => received[0]);
+  const state = () => fakeState(path.join(dir, 'accounts')).accounts['1'].messages[msg.id].state;
+  return { channel, msg, state };
+}
+
+test('markSeen receipt (the default) marks a message seen when it is delivered', async (t) => {
+  const { state } = await receiveOne(t);
+  await waitFor('the message to be seen', () => state() === SEEN);
+});
+
+test('markSeen reply marks messages seen once the agent answers in the chat', async (t) => {
+  const { channel, msg, state } = await receiveOne(t, 'reply');
+  await new Promise(r => setTimeout(r, 200));
+  assert.strictEqual(state(), FRESH);
+
+  await channel.send(msg.chat.id, 'hello peer');
+  await waitFor('the message to be seen', () => state() === SEEN);
+});
+
+test('markSeen never leaves messages unseen until markSeen() is called', async (t) => {
+  const { channel, msg, state } = await receiveOne(t, 'never');
+  await channel.send(msg.chat.id, 'hello peer');
+  await new Promise(r => setTimeout(r, 200));
+  assert.strictEqual(state(), FRESH);
+
+  assert.deepStrictEqual(await channel.markSeen([msg.id]), { seen: [String(msg.id)] });
+  assert.strictEqual(state(), SEEN);
+});
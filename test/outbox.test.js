@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Outbox } = require('../outbox');
+const { tmpDir } = require('./helpers');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+function openOutbox(t, options = {}) {
+  const outbox = new Outbox({ filePath: path.join(tmpDir(t), 'outbox.jsonl'), logger: quiet, ...options });
+  t.after(() => outbox.close());
+  return outbox;
+}
+
+test('a chat waiting for a retry does not hold up other chats', async (t) => {
+  let attempts = 0;
+  const outbox = openOutbox(t, {
+    initialDelay: 60000,
+    deliver: async (entry) => {
+      if (entry.chatId === 'down') {
+        attempts++;
+        throw new Error('connection reset');
+      }
+      return `${entry.chatId}-${entry.text}`;
+    }
+  });
+
+  const stuck = outbox.enqueue({ chatId: 'down', text: 'a' });
+  stuck.catch(() => {});
+  const later = outbox.enqueue({ chatId: 'down', text: 'b' });
+  later.catch(() => {});
+  assert.strictEqual(await outbox.enqueue({ chatId: 'up', text: 'c' }), 'up-c');
+  // the second entry of the failing chat waits behind its head
+  assert.strictEqual(attempts, 1);
+  assert.deepStrictEqual(outbox.pending.map(e => e.text), ['a', 'b']);
+});
+
+test('permanent errors fail at once instead of being retried', async (t) => {
+  let attempts = 0;
+  const outbox = openOutbox(t, {
+    deliver: async () => {
+      attempts++;
+      const err = new Error('chat 999 does not exist');
+      err.permanent = true;
+      throw err;
+    }
+  });
+  await assert.rejects(outbox.enqueue({ chatId: '999', text: 'x' }), /chat 999 does not exist/);
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(outbox.size(), 0);
+});
+
+test('only caller-supplied keys are remembered after sending', async (t) => {
+  let next = 0;
+  const filePath = path.join(tmpDir(t), 'outbox.jsonl');
+  const outbox = new Outbox({ filePath, logger: quiet, compactAfter: 1, deliver: async () => String(++next) });
+  t.after(() => outbox.close());
+
+  await outbox.enqueue({ chatId: '10', text: 'no key' });
+  await outbox.enqueue({ chatId: '10', text: 'keyed', key: 'k-1' });
+  assert.deepStrictEqual([...outbox.sent.keys()], ['k-1']);
+  assert.strictEqual(outbox.keyForMsgId('1'), null);
+  assert.strictEqual(outbox.keyForMsgId('2'), 'k-1');
+  // compaction keeps nothing of the keyless send
+  assert.ok(!fs.readFileSync(filePath, 'utf8').includes('auto-'));
+
+  outbox.close();
+  const reopened = new Outbox({ filePath, logger: quiet, deliver: async () => String(++next) });
+  t.after(() => reopened.close());
+  assert.deepStrictEqual([...reopened.sent.keys()], ['k-1']);
+  assert.strictEqual(reopened.pending.length, 0);
+  assert.strictEqual(reopened.keyForMsgId('1'), null);
+});
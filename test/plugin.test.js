@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { PROTOCOL_VERSION } = require('../shim-protocol');
+const { tmpDir, waitFor } = require('./helpers');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Stand-in for the runner's shim on a unix socket: answer(request) gives the
+ * /rpc result (or a promise of it); calls and open event streams are recorded
+ */
+async function fakeShim(t, socketPath, answer = () => null) {
+  const calls = [];
+  const streams = [];
+  const server = http.createServer((req, res) => {
+    if (req.url === '/events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': hi\n\n');
+      streams.push(res);
+      return;
+    }
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', async () => {
+      const request = JSON.parse(body);
+      calls.push(request);
+      const result = request.method === 'hello'
+        ? { protocol: PROTOCOL_VERSION, accounts: ['default'] }
+        : await answer(request);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, result }));
+    });
+  });
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  t.after(() => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections();
+  }));
+  return { calls, streams };
+}
+
+function writeConfig(configPath, socketPath) {
+  fs.writeFileSync(configPath, JSON.stringify({ channels: { deltachat: { config: { shim: { socketPath, token: 't' } } } } }));
+}
+
+async function openProxy(t, configPath) {
+  process.env.OPENCLAW_CONFIG = configPath;
+  t.after(() => { delete process.env.OPENCLAW_CONFIG; });
+  const proxy = require('../plugin').createChannel({}, { logger: quiet });
+  await proxy.init();
+  t.after(() => proxy.stop());
+  await waitFor('the event stream', () => proxy.getConnectionState().state === 'up');
+  return proxy;
+}
+
+test('a slow send holds up later sends to its chat only', { timeout: 10000 }, async (t) => {
+  const dir = tmpDir(t);
+  const socketPath = path.join(dir, 'shim.sock');
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const shim = await fakeShim(t, socketPath, ({ method, params }) => {
+    if (method !== 'send') return null;
+    return params[0] === 'slow' && params[1] === 'first' ? held.then(() => ({ id: 1 })) : { id: params[1] };
+  });
+  writeConfig(path.join(dir, 'openclaw.json'), socketPath);
+  const proxy = await openProxy(t, path.join(dir, 'openclaw.json'));
+
+  const first = proxy.send('slow', 'first');
+  const second = proxy.send('slow', 'second');
+  assert.deepStrictEqual(await proxy.send('fast', 'other chat'), { id: 'other chat' });
+  const sent = () => shim.calls.filter(c => c.method === 'send').map(c => c.params[1]);
+  assert.deepStrictEqual(sent(), ['first', 'other chat']);
+
+  release();
+  assert.deepStrictEqual(await first, { id: 1 });
+  assert.deepStrictEqual(await second, { id: 'second' });
+  assert.deepStrictEqual(sent(), ['first', 'other chat', 'second']);
+});
+
+test('openclaw.json is read once and again when the event stream reconnects', async (t) => {
+  const dir = tmpDir(t);
+  const configPath = path.join(dir, 'openclaw.json');
+  const before = await fakeShim(t, path.join(dir, 'before.sock'), () => []);
+  const after = await fakeShim(t, path.join(dir, 'after.sock'), () => []);
+  writeConfig(configPath, path.join(dir, 'before.sock'));
+  const proxy = await openProxy(t, configPath);
+
+  // moved socket: calls keep using what was read at createChannel
+  writeConfig(configPath, path.join(dir, 'after.sock'));
+  await proxy.listChats();
+  assert.deepStrictEqual(before.calls.map(c => c.method), ['hello', 'listChats']);
+
+  // the runner goes away; the reconnect picks up the new socket
+  before.streams.forEach(res => res.destroy());
+  await waitFor('the stream on the new socket', () => after.streams.length === 1);
+  await proxy.listChats();
+  assert.deepStrictEqual(after.calls.map(c => c.method), ['listChats']);
+});
+
+test('listAccountIds and resolveAccount skip disabled accounts like the runner', (t) => {
+  const dir = tmpDir(t);
+  const configPath = path.join(dir, 'openclaw.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    channels: {
+      deltachat: {
+        config: {
+          email: 'bot@example.org',
+          accounts: {
+            support: { email: 'support@example.org', password: 'x' },
+            old: { email: 'old@example.org', enabled: false }
+          }
+        }
+      }
+    }
+  }));
+  process.env.OPENCLAW_CONFIG = configPath;
+  t.after(() => { delete process.env.OPENCLAW_CONFIG; });
+
+  const { config } = require('../plugin');
+  assert.deepStrictEqual(config.listAccountIds({}), ['default', 'support']);
+  assert.strictEqual(config.resolveAccount({}, 'old'), null);
+  assert.deepStrictEqual(config.resolveAccount({}, 'support'), {
+    id: 'support',
+    label: 'support@example.org',
+    email: 'support@example.org',
+    displayName: null,
+    server: null,
+    enabled: true,
+    configured: true
+  });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AccessPolicy } = require('../policy');
+
+function message(from, chat = {}) {
+  return { from: { id: 10, address: from }, chat: { id: 12, type: 'direct', ...chat } };
+}
+
+test('the default policy lets everyone in, in direct and group chats', () => {
+  const policy = new AccessPolicy();
+  assert.deepStrictEqual(policy.evaluate(message('anyone@example.org')), { allowed: true, reason: null, action: null });
+  assert.strictEqual(policy.evaluate(message('anyone@example.org', { type: 'group' })).allowed, true);
+  assert.strictEqual(policy.evaluate(message('anyone@example.org', { isContactRequest: true })).allowed, true);
+  assert.strictEqual(new AccessPolicy({ contactRequests: 'bogus' }).contactRequests, 'deliver');
+});
+
+test('allow takes addresses, domains and subdomains', () => {
+  const policy = new AccessPolicy({ allow: ['Alice@Example.org', 'trusted.org', '@corp.example'] });
+  assert.strictEqual(policy.evaluate(message('alice@example.org')).allowed, true);
+  assert.strictEqual(policy.evaluate(message('bob@trusted.org')).allowed, true);
+  assert.strictEqual(policy.evaluate(message('bob@mail.corp.example')).allowed, true);
+  assert.deepStrictEqual(policy.evaluate(message('bob@example.org')), {
+    allowed: false,
+    reason: 'sender bob@example.org is not on the allow list',
+    action: null
+  });
+  // a domain entry does not match a look-alike domain
+  assert.strictEqual(policy.evaluate(message('eve@untrusted.org')).allowed, false);
+  // without an address the sender cannot be on the list
+  assert.strictEqual(policy.evaluate(message(null)).reason, 'sender 10 is not on the allow list');
+});
+
+test('deny is checked before allow', () => {
+  const policy = new AccessPolicy({ allow: ['example.org'], deny: ['mallory@example.org'] });
+  assert.strictEqual(policy.evaluate(message('alice@example.org')).allowed, true);
+  assert.deepStrictEqual(policy.evaluate(message('Mallory@example.org')), {
+    allowed: false,
+    reason: 'sender mallory@example.org is on the deny list',
+    action: null
+  });
+});
+
+test('direct messages and groups can be switched off separately', () => {
+  const noGroups = new AccessPolicy({ groups: false });
+  assert.strictEqual(noGroups.evaluate(message('a@example.org')).allowed, true);
+  assert.strictEqual(noGroups.evaluate(message('a@example.org', { type: 'group' })).reason, 'group chats are disabled');
+  assert.strictEqual(noGroups.evaluate(message('a@example.org', { type: 'mailinglist' })).reason, 'mailinglist chats are disabled');
+
+  const noDirect = new AccessPolicy({ directMessages: false });
+  assert.strictEqual(noDirect.evaluate(message('a@example.org')).reason, 'direct messages are disabled');
+  assert.strictEqual(noDirect.evaluate(message('a@example.org', { type: 'group' })).allowed, true);
+});
+
+test('per-chat overrides win over the lists and chat types', () => {
+  const policy = new AccessPolicy({ deny: ['example.org'], groups: false, chats: { 12: 'allow', 13: 'deny' } });
+  assert.deepStrictEqual(policy.evaluate(message('a@example.org', { type: 'group' })), { allowed: true, reason: 'chat 12 allowed', action: null });
+  assert.strictEqual(policy.evaluate(message('a@other.org', { id: 13 })).reason, 'chat 13 denied');
+});
+
+test('requireVerified turns away unverified senders', () => {
+  const policy = new AccessPolicy({ requireVerified: true });
+  assert.strictEqual(policy.evaluate(message('a@example.org')).reason, 'sender a@example.org is not verified');
+  const verified = message('a@example.org');
+  verified.from.isVerified = true;
+  assert.strictEqual(policy.evaluate(verified).allowed, true);
+});
+
+test('contact requests follow contactRequests', () => {
+  const request = (from = 'a@example.org') => message(from, { isContactRequest: true });
+  assert.deepStrictEqual(new AccessPolicy({ contactRequests: 'accept' }).evaluate(request()), { allowed: true, reason: null, action: 'accept' });
+  assert.deepStrictEqual(new AccessPolicy({ contactRequests: 'reject' }).evaluate(request()), { allowed: false, reason: 'contact request rejected', action: null });
+  assert.deepStrictEqual(new AccessPolicy({ contactRequests: 'block' }).evaluate(request()), { allowed: false, reason: 'contact request blocked', action: 'block' });
+  // a denied request is blocked too when blocking is on
+  assert.strictEqual(new AccessPolicy({ contactRequests: 'block', deny: ['a@example.org'] }).evaluate(request()).action, 'block');
+});
+
+test('update replaces the rules', () => {
+  const policy = new AccessPolicy({ deny: ['a@example.org'] });
+  assert.strictEqual(policy.evaluate(message('a@example.org')).allowed, false);
+  policy.update({ allow: ['b@example.org'] });
+  assert.strictEqual(policy.evaluate(message('a@example.org')).reason, 'sender a@example.org is not on the allow list');
+  assert.strictEqual(policy.evaluate(message('b@example.org')).allowed, true);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReplyStream, splitText } = require('../reply-stream');
+const { waitFor } = require('./helpers');
+
+test('splitText keeps short text whole', () => {
+  assert.deepStrictEqual(splitText('', 10), ['']);
+  assert.deepStrictEqual(splitText('0123456789', 10), ['0123456789']);
+});
+
+test('splitText cuts at the last newline, else space, in the second half', () => {
+  assert.deepStrictEqual(splitText('first line\nsecond', 12), ['first line', 'second']);
+  // a newline in the first half would leave a tiny chunk: the space wins
+  assert.deepStrictEqual(splitText('ab\ncdef ghij klm', 12), ['ab\ncdef ghij', 'klm']);
+  // no break at all: a hard cut at the limit
+  assert.deepStrictEqual(splitText('abcdefghijklmno', 6), ['abcdef', 'ghijkl', 'mno']);
+});
+
+test('splitText counts characters, not bytes, and never splits a surrogate pair', () => {
+  assert.deepStrictEqual(splitText('привет мир', 6), ['привет', 'мир']);
+  const chunks = splitText('a' + '😀'.repeat(5), 4);
+  assert.deepStrictEqual(chunks, ['a😀', '😀😀', '😀😀']);
+  assert.ok(chunks.every(c => c.length <= 4));
+});
+
+/**
+ * ReplyStream on an in-memory chat: messages maps msgId -> text
+ */
+function memoryStream(options = {}) {
+  const messages = new Map();
+  const calls = [];
+  let next = 1;
+  const stream = new ReplyStream({
+    maxLength: 10,
+    editInterval: 10,
+    send: async (text) => { calls.push(['send', text]); messages.set(String(next), text); return next++; },
+    edit: async (id, text) => { calls.push(['edit', id, text]); messages.set(id, text); },
+    ...options
+  });
+  return { stream, messages, calls };
+}
+
+async function growThenShrink(stream) {
+  await stream.start();
+  stream.append('one two three four five six');
+  await waitFor('three posted messages', () => stream.messages.length === 3);
+  return stream.finish('short');
+}
+
+test('a shorter finalText removes the surplus messages', async () => {
+  const removed = [];
+  const { stream, messages } = memoryStream({ remove: async (ids) => { removed.push(...ids); } });
+  const result = await growThenShrink(stream);
+
+  assert.deepStrictEqual(result, { ids: ['1'], length: 5 });
+  assert.deepStrictEqual(removed, ['2', '3']);
+  assert.strictEqual(messages.get('1'), 'short');
+});
+
+test('without remove the surplus messages are blanked by an edit', async () => {
+  const { stream, messages, calls } = memoryStream();
+  const result = await growThenShrink(stream);
+
+  assert.deepStrictEqual(result.ids, ['1']);
+  assert.deepStrictEqual([...messages.values()], ['short', '', '']);
+  // each one is blanked once
+  assert.strictEqual(calls.filter(c => c[0] === 'edit' && c[2] === '').length, 2);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tmpDir, openChannel, waitFor, control } = require('./helpers');
+
+const INITIAL_DELAY = 300;
+
+test('a killed rpc server is respawned with backoff and the account resumes', async (t) => {
+  const dir = tmpDir(t);
+  const controlPath = path.join(dir, 'control.sock');
+  process.env.FAKE_RPC_CONTROL = controlPath;
+  t.after(() => { delete process.env.FAKE_RPC_CONTROL; });
+
+  const channel = openChannel(t, dir, { restartInitialDelay: INITIAL_DELAY, restartMaxDelay: 5000 });
+  const received = [];
+  channel.onMessage(msg => received.push(msg));
+  await channel.init();
+  assert.strictEqual(channel.connected, true);
+  const host = channel.host;
+  assert.deepStrictEqual(channel.getRpcRestartInfo(), { restartCount: 0, lastExit: null });
+
+  // kill the server and time how long the respawn took
+  const crash = async (restartCount) => {
+    const pid = host.rpcProcess.pid;
+    process.kill(pid, 'SIGKILL');
+    await waitFor('the channel to notice', () => !channel.connected);
+    const downAt = Date.now();
+    await waitFor(`restart #${restartCount}`, () => host.restartCount === restartCount && channel.connected, 10000);
+    assert.notStrictEqual(host.rpcProcess.pid, pid);
+    return Date.now() - downAt;
+  };
+
+  // attempt n waits between initialDelay * 2^n / 2 and initialDelay * 2^n
+  const firstGap = await crash(1);
+  assert.ok(firstGap >= INITIAL_DELAY / 2, `first respawn after ${firstGap}ms`);
+  const secondGap = await crash(2);
+  assert.ok(secondGap >= INITIAL_DELAY, `second respawn after ${secondGap}ms`);
+
+  const info = channel.getRpcRestartInfo();
+  assert.strictEqual(info.restartCount, 2);
+  assert.strictEqual(info.lastExit.signal, 'SIGKILL');
+  const status = await channel.getStatus();
+  assert.strictEqual(status.rpc.restartCount, 2);
+  assert.strictEqual(status.rpc.alive, true);
+
+  // the same account goes on, and IO runs again: the fake server only
+  // delivers incoming messages after start_io
+  assert.strictEqual(channel.accountId, 1);
+  await waitFor('the control socket of the new server', () => control(controlPath, { incoming: { from: 'peer@example.org', text: 'after restart' } }).then(() => true));
+  await waitFor('a message after the restart', () => received.find(m => m.text === 'after restart'));
+  const chats = await channel.listChats();
+  assert.ok(chats.length > 0);
+});
+
+test('sends queued while the server is down go out after the restart', async (t) => {
+  const dir = tmpDir(t);
+  const channel = openChannel(t, dir, { restartInitialDelay: INITIAL_DELAY });
+  await channel.init();
+  const group = await channel.createGroup('queued', { members: ['peer@example.org'] });
+
+  process.kill(channel.host.rpcProcess.pid, 'SIGKILL');
+  await waitFor('the channel to notice', () => !channel.connected);
+  assert.strictEqual(channel.outbox.size(), 0);
+  const pending = channel.send(group.id, 'sent while down');
+  await waitFor('the send to be queued', () => channel.outbox.size() === 1);
+
+  const sent = await pending;
+  assert.ok(sent.id);
+  assert.strictEqual(channel.getRpcRestartInfo().restartCount, 1);
+  const history = await channel.getMessages(group.id);
+  assert.ok(history.messages.some(m => m.text === 'sent while down'));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DeltaChatRpcHost, callWithTimeout, parseStderrLine } = require('../rpc-host');
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+test('stderr lines in the core log formats keep their level', () => {
+  assert.deepStrictEqual(
+    parseStderrLine('2026-10-19T12:27:23.062276Z  INFO deltachat_rpc_server: Creating JSON-RPC API.'),
+    { level: 'info', message: 'deltachat_rpc_server: Creating JSON-RPC API.' }
+  );
+  assert.deepStrictEqual(
+    parseStderrLine('2026-10-19T12:27:24.062041Z  WARN deltachat::imap: IMAP connection lost'),
+    { level: 'warn', message: 'deltachat::imap: IMAP connection lost' }
+  );
+  assert.deepStrictEqual(
+    parseStderrLine('[2026-10-19T12:27:23Z ERROR deltachat::smtp] send failed'),
+    { level: 'error', message: 'deltachat::smtp: send failed' }
+  );
+  assert.deepStrictEqual(
+    parseStderrLine('[TRACE deltachat] tick'),
+    { level: 'debug', message: 'deltachat: tick' }
+  );
+});
+
+test('unbracketed lines without a timestamp are debug output', () => {
+  for (const line of ['some INFO text', 'ERROR happened somewhere', 'WARN: no prefix', 'INFO deltachat: looks like a level']) {
+    assert.deepStrictEqual(parseStderrLine(line), { level: 'debug', message: line });
+  }
+});
+
+test('panics are errors in any format', () => {
+  const line = "thread 'main' panicked at src/main.rs:10:5:";
+  assert.deepStrictEqual(parseStderrLine(line), { level: 'error', message: line });
+});
+
+test('failPendingCalls rejects the calls still waiting on the host', async () => {
+  const host = new DeltaChatRpcHost({ logging: { level: 'error' } });
+  const never = () => new Promise(() => {});
+
+  const answered = await callWithTimeout('fast', async () => 'ok', 1000, { inflight: host.inflight });
+  assert.strictEqual(answered, 'ok');
+  assert.strictEqual(host.inflight.size, 0);
+
+  const waiting = [0, 1].map(i => callWithTimeout(`slow${i}`, never, 60000, { log: quiet, inflight: host.inflight }));
+  assert.strictEqual(host.inflight.size, 2);
+  host.failPendingCalls('rpc server exited');
+  for (const call of waiting) await assert.rejects(call, { code: 'RPC_GONE', message: 'rpc server exited' });
+  assert.strictEqual(host.inflight.size, 0);
+});
+
+test('a timed out call leaves the in-flight set', async () => {
+  const inflight = new Set();
+  await assert.rejects(callWithTimeout('slow', () => new Promise(() => {}), 20, { log: quiet, inflight }), { code: 'RPC_TIMEOUT' });
+  assert.strictEqual(inflight.size, 0);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PROTOCOL_VERSION, PROTOCOL_HEADER } = require('../shim-protocol');
+const { ROOT, FAKE_RPC, BOT, tmpDir, waitFor, control, shimRequest } = require('./helpers');
+
+const TOKEN = 'test-shim-token';
+
+/**
+ * run-deltachat-channel.js as a child process on a throwaway openclaw.json;
+ * resolves once /health reports the account connected
+ */
+async function startRunner(t, dir) {
+  const configPath = path.join(dir, 'openclaw.json');
+  const socketPath = path.join(dir, 'shim.sock');
+  const controlPath = path.join(dir, 'control.sock');
+  fs.writeFileSync(configPath, JSON.stringify({
+    channels: {
+      deltachat: {
+        config: {
+          ...BOT,
+          accountsPath: path.join(dir, 'accounts'),
+          rpcServerPath: FAKE_RPC,
+          shim: { socketPath, token: TOKEN },
+          logging: { level: 'warn', file: path.join(dir, 'runner.log') }
+        }
+      }
+    }
+  }));
+
+  const env = { ...process.env, OPENCLAW_HOME: dir, FAKE_RPC_CONTROL: controlPath };
+  const runner = spawn(process.execPath, [path.join(ROOT, 'run-deltachat-channel.js'), '--config', configPath], { env, stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  runner.stderr.on('data', chunk => stderr += chunk);
+  const exited = new Promise(resolve => runner.on('exit', resolve));
+  t.after(async () => {
+    if (runner.exitCode === null && runner.signalCode === null) {
+      runner.kill('SIGTERM');
+      const timer = setTimeout(() => runner.kill('SIGKILL'), 10000);
+      await exited;
+      clearTimeout(timer);
+    }
+  });
+
+  await waitFor('the runner to get healthy', async () => {
+    if (runner.exitCode !== null) throw new Error(`runner exited: ${stderr}`);
+    const res = await shimRequest(socketPath, { token: TOKEN });
+    return res.status === 200;
+  }, 15000);
+  return { runner, configPath, socketPath, controlPath };
+}
+
+/**
+ * SSE subscription collecting { id, data } frames
+ */
+function openEvents(socketPath, headers = {}) {
+  const frames = [];
+  const req = http.request({
+    socketPath,
+    path: '/events',
+    headers: { [PROTOCOL_HEADER]: String(PROTOCOL_VERSION), Authorization: `Bearer ${TOKEN}`, ...headers }
+  }, (res) => {
+    let buf = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buf += chunk;
+      let idx;
+      while ((idx = buf.indexOf('\n\n')) >= 0) {
+        const block = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        const id = (/^id: (.*)$/m.exec(block) || [])[1];
+        const data = (/^data: (.*)$/m.exec(block) || [])[1];
+        if (data) frames.push({ id, data: JSON.parse(data) });
+      }
+    });
+  });
+  req.on('error', () => {});
+  req.end();
+  return { frames, close: () => req.destroy() };
+}
+
+test('runner shim: /rpc, /events and the plugin.js proxy', async (t) => {
+  const dir = tmpDir(t);
+  const { socketPath, controlPath, configPath } = await startRunner(t, dir);
+  const rpc = (body, options = {}) => shimRequest(socketPath, { method: 'POST', path: '/rpc', token: TOKEN, body, ...options });
+
+  await t.test('/health reports the account', async () => {
+    const res = await shimRequest(socketPath, { token: TOKEN });
+    assert.strictEqual(res.body.ok, true);
+    assert.strictEqual(res.body.accounts.default.connected, true);
+  });
+
+  await t.test('the socket is only open to the runner\'s user', () => {
+    assert.strictEqual(fs.statSync(socketPath).mode & 0o777, 0o600);
+  });
+
+  await t.test('/rpc needs the token and the protocol header', async () => {
+    const noToken = await rpc({ jsonrpc: '2.0', id: 1, method: 'hello' }, { token: null });
+    assert.strictEqual(noToken.status, 401);
+    assert.strictEqual(noToken.body.error.data.name, 'UNAUTHORIZED');
+
+    const oldClient = await rpc({ jsonrpc: '2.0', id: 1, method: 'hello' }, { protocol: null });
+    assert.strictEqual(oldClient.status, 400);
+    assert.strictEqual(oldClient.body.error.data.name, 'PROTOCOL_MISMATCH');
+  });
+
+  await t.test('/rpc answers hello, calls and errors', async () => {
+    const hello = await rpc({ jsonrpc: '2.0', id: 1, method: 'hello' });
+    assert.strictEqual(hello.body.result.protocol, PROTOCOL_VERSION);
+    assert.deepStrictEqual(hello.body.result.accounts, ['default']);
+
+    const [created, unknown, invalid] = (await rpc([
+      { jsonrpc: '2.0', id: 2, method: 'createGroup', params: ['shim group', { members: ['peer@example.org'] }] },
+      { jsonrpc: '2.0', id: 3, method: 'noSuchMethod' },
+      { jsonrpc: '2.0', id: 4, method: 'send', params: [] }
+    ])).body;
+    assert.strictEqual(created.result.name, 'shim group');
+    assert.strictEqual(unknown.error.data.name, 'METHOD_NOT_FOUND');
+    assert.strictEqual(invalid.error.data.name, 'INVALID_PARAMS');
+
+    const sent = await rpc({ jsonrpc: '2.0', id: 5, method: 'send', params: [created.result.id, 'via shim'] });
+    assert.ok(sent.body.result.id);
+    const chats = await rpc({ jsonrpc: '2.0', id: 6, method: 'listChats' });
+    assert.ok(chats.body.result.some(c => c.id === created.result.id));
+
+    const other = await rpc({ jsonrpc: '2.0', id: 7, method: 'listChats', account: 'nobody' });
+    assert.strictEqual(other.body.error.data.name, 'UNKNOWN_ACCOUNT');
+  });
+
+  await t.test('/events streams messages and replays them after Last-Event-ID', async () => {
+    const live = openEvents(socketPath);
+    t.after(() => live.close());
+    await new Promise(r => setTimeout(r, 200));
+    await control(controlPath, { incoming: { from: 'peer@example.org', text: 'first' } });
+    await control(controlPath, { incoming: { from: 'peer@example.org', text: 'second' } });
+    const second = await waitFor('both messages on /events', () => {
+      const messages = live.frames.filter(f => f.data.type === 'message');
+      return messages.length >= 2 && messages[1];
+    });
+    const first = live.frames.find(f => f.data.type === 'message');
+    assert.strictEqual(first.data.accountId, 'default');
+    assert.strictEqual(first.data.payload.text, 'first');
+    assert.strictEqual(second.data.payload.text, 'second');
+
+    const resumed = openEvents(socketPath, { 'Last-Event-ID': first.id });
+    t.after(() => resumed.close());
+    const replayed = await waitFor('the replay', () => resumed.frames.find(f => f.data.type === 'message'));
+    assert.strictEqual(replayed.id, second.id);
+    assert.strictEqual(replayed.data.payload.text, 'second');
+  });
+
+  await t.test('plugin.js proxy talks to the runner', async (t) => {
+    process.env.OPENCLAW_CONFIG = configPath;
+    t.after(() => { delete process.env.OPENCLAW_CONFIG; });
+    const plugin = require('../plugin');
+    const proxy = plugin.createChannel({}, { logger: { debug() {}, info() {}, warn() {}, error() {} } });
+    const received = [];
+    proxy.onMessage(msg => received.push(msg));
+    await proxy.init();
+    t.after(() => proxy.stop());
+    await waitFor('the proxy event stream', () => proxy.getConnectionState().state === 'up');
+
+    const status = await proxy.getStatus();
+    assert.strictEqual(status.shim, 'up');
+    assert.strictEqual(status.connected, true);
+
+    const group = await proxy.createGroup('proxy group', { members: ['peer@example.org'] });
+    const sent = await proxy.send(group.id, 'via proxy', { attachments: [{ buffer: Buffer.from('data'), fileName: 'notes.txt' }] });
+    assert.ok(sent.id);
+    const history = await proxy.getMessages(group.id);
+    const file = history.messages.find(m => String(m.id) === String(sent.id));
+    assert.strictEqual(file.text, 'via proxy');
+    assert.strictEqual(file.attachments[0].fileName, 'notes.txt');
+
+    await control(controlPath, { incoming: { from: 'other@example.org', text: 'to the proxy' } });
+    const msg = await waitFor('the message on the proxy', () => received.find(m => m.text === 'to the proxy'));
+    assert.strictEqual(msg.from.address, 'other@example.org');
+  });
+});